@@ -0,0 +1,76 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global BroadcastChannel */
+
+/**
+ * The prefix of the BroadcastChannel used to coordinate connections to the
+ * same database across tabs and workers.
+ *
+ * @const {string}
+ */
+const CHANNEL_PREFIX = 'indexed-db-as-promised:';
+
+/**
+ * Whether the platform supports BroadcastChannel.
+ *
+ * @return {boolean}
+ */
+function supported() {
+  return typeof BroadcastChannel !== 'undefined';
+}
+
+/**
+ * Broadcasts a request that every other connection to the database `name`
+ * close, so that the `version` may be opened. Connections opened by this
+ * library will honor the request if they have a versionchange policy.
+ *
+ * @param {string} name
+ * @param {?number} version The version that is blocked from opening, or
+ *     `null` if the database is being deleted.
+ * @return {boolean} Whether the request could be broadcast.
+ */
+export function requestClose(name, version) {
+  if (!supported()) {
+    return false;
+  }
+
+  const channel = new BroadcastChannel(CHANNEL_PREFIX + name);
+  channel.postMessage({ type: 'close', name, version });
+  channel.close();
+  return true;
+}
+
+/**
+ * Listens for requests that connections to the database `name` close.
+ *
+ * @param {string} name
+ * @param {function({name: string, version: ?number})} listener
+ * @return {function()} A function that stops listening.
+ */
+export function onCloseRequest(name, listener) {
+  if (!supported()) {
+    return () => {};
+  }
+
+  const channel = new BroadcastChannel(CHANNEL_PREFIX + name);
+  channel.onmessage = ({ data }) => {
+    if (data && data.type === 'close') {
+      listener(data);
+    }
+  };
+  return () => channel.close();
+}
@@ -0,0 +1,216 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import SyncPromise from './sync-promise';
+
+/**
+ * Returned by a stage to drop the value from the pipeline.
+ *
+ * @const {!Object}
+ */
+const SKIP = {};
+
+/**
+ * A lazy pipeline of operators over the records iterated by a cursor. The
+ * operators are only applied once a terminal operation (`reduce`, `first`,
+ * `toArray` or `forEach`) drives the cursor, which then stops as soon as no
+ * more records are needed.
+ *
+ * The pipeline starts with the value of every record (or the key, for a
+ * key-only cursor). Every callback also receives the cursor at the record's
+ * position, and may return a Promise-like (eg, a `Request`), which is waited
+ * on before the next stage.
+ *
+ * Since a cursor may only be iterated once, only one terminal operation may
+ * be used per cursor.
+ */
+export default class CursorPipeline {
+  /**
+   * @param {!CursorRequest} request The request of the cursor to iterate.
+   * @param {!Array<function():function(*, !Cursor):*>} stages Creates the
+   *     stages values are passed through, in order. Each stage returns the
+   *     next value, or `SKIP`.
+   * @param {?function():boolean} done Whether the pipeline needs no more
+   *     values.
+   */
+  constructor(request, stages = [], done = null) {
+    /** @const */
+    this._request = request;
+
+    /** @const */
+    this._stages = stages;
+
+    /** @const */
+    this._done = done;
+  }
+
+  /**
+   * Creates a new pipeline, with the `stage` appended.
+   *
+   * @param {function():function(*, !Cursor):*} stage
+   * @return {!CursorPipeline}
+   */
+  _pipe(stage) {
+    return new CursorPipeline(this._request, this._stages.concat(stage), this._done);
+  }
+
+  /**
+   * Keeps only the values `predicate` accepts.
+   *
+   * @param {function(*, !Cursor):*} predicate
+   * @return {!CursorPipeline}
+   */
+  filter(predicate) {
+    return this._pipe(() => (value, cursor) => {
+      return SyncPromise.resolve(predicate(value, cursor)).then((keep) => {
+        return keep ? value : SKIP;
+      });
+    });
+  }
+
+  /**
+   * Transforms every value with `mapper`.
+   *
+   * @param {function(*, !Cursor):*} mapper
+   * @return {!CursorPipeline}
+   */
+  map(mapper) {
+    return this._pipe(() => mapper);
+  }
+
+  /**
+   * Drops the first `count` values.
+   *
+   * @param {number} count
+   * @return {!CursorPipeline}
+   */
+  skip(count) {
+    return this._pipe(() => {
+      let skipped = 0;
+      return (value) => (skipped++ < count ? SKIP : value);
+    });
+  }
+
+  /**
+   * Keeps only the first `count` values, stopping the cursor once they are
+   * found.
+   *
+   * @param {number} count
+   * @return {!CursorPipeline}
+   */
+  take(count) {
+    let taken = 0;
+    const previous = this._done;
+    const stages = this._stages.concat(() => {
+      taken = 0;
+      return (value) => {
+        taken++;
+        return value;
+      };
+    });
+    return new CursorPipeline(this._request, stages, () => {
+      return taken >= count || (!!previous && previous());
+    });
+  }
+
+  /**
+   * Drives the cursor, reducing the pipeline's values with `reducer`.
+   *
+   * @param {function(R, *, !Cursor):(R|!SyncPromise<R>)} reducer
+   * @param {R} initial
+   * @return {!SyncPromise<R>} A Promise-like that resolves with the reduced
+   *     value once the cursor stops.
+   * @template R
+   */
+  reduce(reducer, initial) {
+    const stages = this._stages.map((create) => create());
+    const done = this._done || (() => false);
+    const iterator = this._request.iterator();
+    let accumulator = initial;
+
+    return new SyncPromise((resolve, reject) => {
+      const finish = () => {
+        iterator.return();
+        resolve(accumulator);
+      };
+
+      // Each record is processed in its own chain, rather than one recursive
+      // chain for the whole iteration, to avoid deeply nested promises.
+      const pump = () => {
+        if (done()) {
+          finish();
+          return;
+        }
+
+        iterator.next().then(({ value: cursor, done: end }) => {
+          if (end) {
+            finish();
+            return undefined;
+          }
+
+          const initialValue = this._request.keyOnly ? cursor.key : cursor.value;
+          return stages.reduce((promise, stage) => {
+            return promise.then((value) => (value === SKIP ? SKIP : stage(value, cursor)));
+          }, SyncPromise.resolve(initialValue)).then((value) => {
+            if (value === SKIP) {
+              return undefined;
+            }
+            return SyncPromise.resolve(reducer(accumulator, value, cursor)).then((result) => {
+              accumulator = result;
+            });
+          }).then(pump);
+        }).catch(reject);
+      };
+
+      pump();
+    });
+  }
+
+  /**
+   * Drives the cursor, calling `callback` with every value of the pipeline.
+   *
+   * @param {function(*, !Cursor):*} callback
+   * @return {!SyncPromise<undefined>} A Promise-like that resolves once the
+   *     cursor stops.
+   */
+  forEach(callback) {
+    return this.reduce((_, value, cursor) => {
+      return SyncPromise.resolve(callback(value, cursor)).then(() => undefined);
+    }, undefined);
+  }
+
+  /**
+   * Drives the cursor, collecting the values of the pipeline.
+   *
+   * @return {!SyncPromise<!Array<*>>}
+   */
+  toArray() {
+    return this.reduce((values, value) => {
+      values.push(value);
+      return values;
+    }, []);
+  }
+
+  /**
+   * Drives the cursor until the pipeline's first value.
+   *
+   * @return {!SyncPromise<*>} A Promise-like that resolves with the first
+   *     value, or `undefined` if there is none.
+   */
+  first() {
+    return this.take(1).reduce((_, value) => value, undefined);
+  }
+}
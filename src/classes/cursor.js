@@ -16,6 +16,10 @@
 
 import SyncPromise from './sync-promise';
 import Request from './request';
+import CursorPipeline from './cursor-pipeline';
+import createError from '../errors';
+import { abortable, abortTransaction } from '../signal';
+import { nextVersion, versionField, withVersion } from '../versioning';
 
 /**
  * The direction of cursor iteration.
@@ -31,24 +35,29 @@ export const Direction = {
 };
 
 /**
- * A wrapper around IDBCursor, which provides a thin promise-like API over the
- * cursor's iteration.
+ * A wrapper around a key-only IDBCursor (as opened by `openKeyCursor`), which
+ * provides a thin promise-like API over the cursor's iteration.
  */
-class Cursor {
+class KeyCursor {
   /**
    * @param {!IDBCursor} cursor
    * @param {!Transaction} transaction The wrapped IDBTransaction that opened
    *     this cursor.
    * @param {!ObjectStore|!Index} source A source that opened this cursor,
    *     either a wrapped IDBObjectStore or a wrapped IDBIndex.
+   * @param {!CursorRequest} request The wrapped request that opened this
+   *     cursor.
    */
-  constructor(cursor, transaction, source) {
+  constructor(cursor, transaction, source, request) {
     /** @const */
     this.transaction = transaction;
 
     /** @const */
     this.source = source;
 
+    /** @const {!CursorRequest} */
+    this.request = request;
+
     /** @const */
     this._cursor = cursor;
 
@@ -73,13 +82,16 @@ class Cursor {
      * @type {IDBKeyType}
      */
     this.primaryKey = null;
+  }
 
-    /**
-     * The record at the cursor's current position.
-     *
-     * @type {*}
-     */
-    this.value =  null;
+  /**
+   * Updates the cursor's position from the native cursor's `result`.
+   *
+   * @param {!IDBCursor} result
+   */
+  _moveTo(result) {
+    this.key = result.key;
+    this.primaryKey = result.primaryKey;
   }
 
   /**
@@ -88,7 +100,7 @@ class Cursor {
    * @param {number} count A number positive number to advance by.
    */
   advance(count) {
-    this._cursor.advance(count);
+    this._issue('advance', [count]);
   }
 
   /**
@@ -99,11 +111,90 @@ class Cursor {
    * @param {IDBKeyType=} key
    */
   continue(key = null) {
-    if (key == null) {
-      this._cursor.continue();
-    } else {
-      this._cursor.continue(key);
+    this._issue('continue', key == null ? [] : [key]);
+  }
+
+  /**
+   * Advances the cursor to the record matching both `key` and `primaryKey`,
+   * or the first record beyond it in the cursor's direction. This allows an
+   * index scan to resume from a (key, primary key) position. Note that this
+   * is only supported by index cursors iterating in the `next` or `prev`
+   * direction.
+   *
+   * @param {IDBKeyType} key
+   * @param {IDBKeyType} primaryKey
+   * @throws {Error} A `NotSupportedError` where the implementation does not
+   *     provide `IDBCursor#continuePrimaryKey`.
+   */
+  continuePrimaryKey(key, primaryKey) {
+    if (!this.canContinuePrimaryKey()) {
+      throw createError(
+        'NotSupportedError',
+        'IDBCursor#continuePrimaryKey is not supported.'
+      );
     }
+    this._issue('continuePrimaryKey', [key, primaryKey]);
+  }
+
+  /**
+   * Whether the implementation provides `IDBCursor#continuePrimaryKey`, which
+   * `#continuePrimaryKey` needs.
+   *
+   * @return {boolean}
+   */
+  canContinuePrimaryKey() {
+    return typeof this._cursor.continuePrimaryKey === 'function';
+  }
+
+  /**
+   * Issues the native cursor operation `method` (called with `args`) through
+   * the transaction, so that it is tracked in development mode.
+   *
+   * @param {string} method
+   * @param {!Array<*>} args
+   * @return {*}
+   */
+  _issue(method, args) {
+    return this.transaction._track(`cursor.${method}()`, () => {
+      return this._cursor[method](...args);
+    });
+  }
+}
+
+/**
+ * A wrapper around IDBCursor, which provides a thin promise-like API over the
+ * cursor's iteration, and access to the record at its current position.
+ */
+class Cursor extends KeyCursor {
+  /**
+   * @param {!IDBCursor} cursor
+   * @param {!Transaction} transaction The wrapped IDBTransaction that opened
+   *     this cursor.
+   * @param {!ObjectStore|!Index} source A source that opened this cursor,
+   *     either a wrapped IDBObjectStore or a wrapped IDBIndex.
+   * @param {!CursorRequest} request The wrapped request that opened this
+   *     cursor.
+   */
+  constructor(cursor, transaction, source, request) {
+    super(cursor, transaction, source, request);
+
+    /**
+     * The record at the cursor's current position.
+     *
+     * @type {*}
+     */
+    this.value = null;
+  }
+
+  /**
+   * Updates the cursor's position (and value) from the native cursor's
+   * `result`.
+   *
+   * @param {!IDBCursor} result
+   */
+  _moveTo(result) {
+    super._moveTo(result);
+    this.value = result.value;
   }
 
   /**
@@ -115,7 +206,10 @@ class Cursor {
    *     record.
    */
   delete() {
-    return new Request(this._cursor.delete(), this.transaction, this);
+    const request = this._write(() => this._issue('delete', []), (store, key) => {
+      return { type: 'delete', store, key };
+    });
+    return new Request(request, this.transaction, this);
   }
 
   /**
@@ -126,7 +220,58 @@ class Cursor {
    *     record.
    */
   update(value) {
-    return new Request(this._cursor.update(value), this.transaction, this);
+    const request = this._write(() => this._issue('update', [value]), (store, key) => {
+      return { type: 'update', store, key, value };
+    });
+    return new Request(request, this.transaction, this);
+  }
+
+  /**
+   * Updates the record at the cursor's current position only if it is at
+   * `expectedVersion`, incrementing its version. See
+   * `ObjectStore#putIfVersion`.
+   *
+   * @param {!Object} value
+   * @param {number} expectedVersion
+   * @return {!SyncPromise<!../versioning.VersionedWrite>} A Promise-like that
+   *     resolves with the record's key and new version, or rejects with a
+   *     `ConflictError` (containing the `current` record) if the versions
+   *     differ.
+   */
+  updateIfVersion(value, expectedVersion) {
+    return new SyncPromise((resolve) => {
+      const { source } = this;
+      const store = source.objectStore ? source.objectStore.name : source.name;
+      const field = versionField(this.transaction, store);
+      const key = source.objectStore ? this.primaryKey : this.key;
+      const version = nextVersion(store, field, key, this.value, expectedVersion);
+
+      resolve(this.update(withVersion(value, field, version)).then(() => {
+        return { key, version };
+      }));
+    });
+  }
+
+  /**
+   * Issues a write to the record at the cursor's current position through
+   * the transaction's undo log, so that it may be rolled back to a savepoint
+   * (see `../undo-log`), and records it if the transaction is a dry run.
+   *
+   * @param {function():!IDBRequest} issue Issues the write.
+   * @param {function(string, IDBKeyType):!../transaction.Change} change
+   *     Describes the write, given the objectStore's name and the record's
+   *     primary key.
+   * @return {!IDBRequest}
+   */
+  _write(issue, change) {
+    const source = this._cursor.source;
+    // An index's cursor writes to the index's objectStore, where the record
+    // is keyed by the primary key. An objectStore's cursor key is the same.
+    const store = source.objectStore || source;
+    const key = source.objectStore ? this._cursor.primaryKey : this._cursor.key;
+    const request = this.transaction._undoLog.write(store, key, issue);
+    this.transaction._recordChange(request, () => change(store.name, key));
+    return request;
   }
 }
 
@@ -140,14 +285,24 @@ export default class CursorRequest {
    *     the cursor.
    * @param {!ObjectStore|!Index} source A source that opened the cursor, either
    *     a wrapped IDBObjectStore or a wrapped IDBIndex.
+   * @param {boolean=} keyOnly Whether the cursor only iterates keys, as
+   *     opened by `openKeyCursor`.
    */
-  constructor(cursorRequest, transaction, source) {
+  constructor(cursorRequest, transaction, source, keyOnly = false) {
     /** @const */
     this.transaction = transaction;
 
     /** @const */
     this.source = source;
 
+    /**
+     * Whether the cursor only iterates keys, in which case it is wrapped by a
+     * `KeyCursor` rather than a `Cursor`.
+     *
+     * @const {boolean}
+     */
+    this.keyOnly = keyOnly;
+
     /** @const */
     this._cursorRequest = cursorRequest;
 
@@ -161,17 +316,45 @@ export default class CursorRequest {
     this._promise = new Request(cursorRequest, this, source);
   }
 
+  /**
+   * Wraps the native cursor `result`.
+   *
+   * @param {!IDBCursor} result
+   * @return {!KeyCursor|!Cursor}
+   */
+  _wrap(result) {
+    const Wrapper = this.keyOnly ? KeyCursor : Cursor;
+    return new Wrapper(result, this.transaction, this.source, this);
+  }
+
   /**
    * Iterates the cursor, calling `iterator` every time the cursor advances to
    * a new record. The iterator is responsible for explicitly calling either
    * `Cursor#continue` or `Cursor#advance` to advance the cursor, else the
    * iteration will end.
    *
+   * An optional `signal` may be provided to cancel the iteration. Once it
+   * aborts, the cursor stops advancing, the transaction is aborted, and the
+   * returned Promise-like rejects with the signal's reason.
+   *
    * @param {!function(!Cursor):*} iterator
+   * @param {{signal: (AbortSignal|undefined)}=} options
    * @return {!SyncPromise<Array<*>>} A Promise-like that will resolve to the
    *     values returned from `iterator` at every iteration.
    */
-  iterate(iterator) {
+  iterate(iterator, { signal } = {}) {
+    const abort = () => abortTransaction(this._cursorRequest.transaction);
+    return abortable(signal, abort, () => this._iterate(iterator, signal));
+  }
+
+  /**
+   * Implements `#iterate`.
+   *
+   * @param {!function(!Cursor):*} iterator
+   * @param {?AbortSignal|undefined} signal
+   * @return {!SyncPromise<Array<*>>}
+   */
+  _iterate(iterator, signal) {
     return this._promise.then((result) => {
       const results = [];
       const request = this._cursorRequest;
@@ -181,7 +364,7 @@ export default class CursorRequest {
         return results;
       }
 
-      const cursor = new Cursor(result, this.transaction, this.source);
+      const cursor = this._wrap(result);
 
       /**
        * The first step of the iteration process ensures that we wait until the
@@ -205,8 +388,8 @@ export default class CursorRequest {
         // If the cursor did not advance, we assume that further iteration is
         // no longer desired. In that case, break early (avoiding another
         // Request instance) and allow the final call to `iterate` to return
-        // the results.
-        if (request.readyState === 'done') {
+        // the results. The same goes for an aborted iteration.
+        if (request.readyState === 'done' || (signal && signal.aborted)) {
           return null;
         }
 
@@ -229,9 +412,7 @@ export default class CursorRequest {
           return results;
         }
 
-        cursor.key = result.key;
-        cursor.primaryKey = result.primaryKey;
-        cursor.value = result.value;
+        cursor._moveTo(result);
         return new SyncPromise(iterate)
           .then(pushAndMaybeAdvance)
           .then(step);
@@ -250,10 +431,12 @@ export default class CursorRequest {
    * must manually advance the cursor.
    *
    * @param {!function(!Cursor):*} iterator
+   * @param {{signal: (AbortSignal|undefined)}=} options An optional `signal`
+   *     to cancel the iteration, as with `#iterate`.
    * @return {!SyncPromise<Array<*>>} A Promise-like that will resolve to the
    *     values returned from `iterator` at every iteration.
    */
-  while(iterator) {
+  while(iterator, options = {}) {
     // If false is returned (and the cursor was not manually advanced), we set
     // the preempt flag to signal that the last result (the `false` value)
     // should be removed from the resulting array.
@@ -288,7 +471,7 @@ export default class CursorRequest {
       cursor = c;
       return SyncPromise.resolve(iterator(cursor))
         .then(autoAdvancer);
-    }).then((results) => {
+    }, options).then((results) => {
       // If we preempted iteration (by returning `false` and not manually
       // advancing the cursor), we need to remove that final `false` value from
       // the resolved results.
@@ -299,4 +482,160 @@ export default class CursorRequest {
       return results;
     });
   }
+
+  /**
+   * Starts a lazy pipeline keeping only the values (or keys, for a key-only
+   * cursor) of the records that `predicate` accepts. See `./cursor-pipeline`.
+   *
+   * @param {function(*, !Cursor):*} predicate
+   * @return {!CursorPipeline}
+   */
+  filter(predicate) {
+    return new CursorPipeline(this).filter(predicate);
+  }
+
+  /**
+   * Starts a lazy pipeline transforming the values (or keys) of the records
+   * with `mapper`. See `./cursor-pipeline`.
+   *
+   * @param {function(*, !Cursor):*} mapper
+   * @return {!CursorPipeline}
+   */
+  map(mapper) {
+    return new CursorPipeline(this).map(mapper);
+  }
+
+  /**
+   * Starts a lazy pipeline dropping the first `count` records. See
+   * `./cursor-pipeline`.
+   *
+   * @param {number} count
+   * @return {!CursorPipeline}
+   */
+  skip(count) {
+    return new CursorPipeline(this).skip(count);
+  }
+
+  /**
+   * Starts a lazy pipeline keeping only the first `count` records, stopping
+   * the cursor once they are found. See `./cursor-pipeline`.
+   *
+   * @param {number} count
+   * @return {!CursorPipeline}
+   */
+  take(count) {
+    return new CursorPipeline(this).take(count);
+  }
+
+  /**
+   * Reduces the values (or keys) of every record with `reducer`. See
+   * `CursorPipeline#reduce`.
+   *
+   * @param {function(R, *, !Cursor):(R|!SyncPromise<R>)} reducer
+   * @param {R} initial
+   * @return {!SyncPromise<R>}
+   * @template R
+   */
+  reduce(reducer, initial) {
+    return new CursorPipeline(this).reduce(reducer, initial);
+  }
+
+  /**
+   * Calls `callback` with the value (or key) of every record. See
+   * `CursorPipeline#forEach`.
+   *
+   * @param {function(*, !Cursor):*} callback
+   * @return {!SyncPromise<undefined>}
+   */
+  forEach(callback) {
+    return new CursorPipeline(this).forEach(callback);
+  }
+
+  /**
+   * Collects the values (or keys) of every record. See
+   * `CursorPipeline#toArray`.
+   *
+   * @return {!SyncPromise<!Array<*>>}
+   */
+  toArray() {
+    return new CursorPipeline(this).toArray();
+  }
+
+  /**
+   * Finds the value (or key) of the first record, stopping the cursor there.
+   * See `CursorPipeline#first`.
+   *
+   * @return {!SyncPromise<*>}
+   */
+  first() {
+    return new CursorPipeline(this).first();
+  }
+
+  /**
+   * Creates an iterator over the cursor's records, following the async
+   * iteration protocol so that the cursor may be iterated with
+   * `for await (const cursor of request)`. Every call to `next` resolves with
+   * the cursor at its next position. Unless the cursor was manually advanced
+   * since the previous call, it is continued automatically. Stopping the
+   * iteration early (eg, with `break`) stops advancing the cursor.
+   *
+   * `next` returns a `SyncPromise`, so a loop chained with `then` keeps the
+   * transaction alive while it iterates. Note that `for await` waits on
+   * native Promises between iterations, so it should not wait on anything
+   * other than requests in its body.
+   *
+   * @return {{
+   *   next: function():!SyncPromise<{value: ?Cursor, done: boolean}>,
+   *   return: function():!SyncPromise<{value: undefined, done: boolean}>,
+   * }}
+   */
+  iterator() {
+    const request = this._cursorRequest;
+    const end = { value: undefined, done: true };
+    // The request's own promise keeps its original result, for `then`.
+    let pending = this._promise;
+    let cursor = null;
+    let done = false;
+
+    return {
+      next: () => {
+        if (done) {
+          return SyncPromise.resolve(end);
+        }
+
+        if (cursor) {
+          if (request.readyState === 'done') {
+            cursor.continue();
+          }
+          pending = new Request(request, this.transaction, this.source);
+        }
+
+        return pending.then((result) => {
+          // Another call may have finished the iteration in the meantime.
+          if (done || !result) {
+            done = true;
+            return end;
+          }
+
+          if (!cursor) {
+            cursor = this._wrap(result);
+          }
+          cursor._moveTo(result);
+          return { value: cursor, done: false };
+        });
+      },
+
+      return: () => {
+        done = true;
+        return SyncPromise.resolve(end);
+      },
+    };
+  }
+}
+
+// Allow `for await` iteration where async iteration is supported.
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  CursorRequest.prototype[Symbol.asyncIterator] = function asyncIterator() {
+    return this.iterator();
+  };
 }
@@ -16,6 +16,15 @@
 
 import Request from './request';
 import CursorRequest from './cursor';
+import Scan from './scan';
+import SyncPromise from './sync-promise';
+import {
+  buildPage,
+  decodeToken,
+  keysOf,
+  narrowRange,
+  reverseDirection,
+} from '../paging';
 
 /**
  * A wrapper around a Data Source (either a IDBIndex or IDBObjectStore), which
@@ -44,6 +53,28 @@ export default class DataSource {
     this.keyPath = source.keyPath;
   }
 
+  /**
+   * Issues the native operation `method` (called with `args`) through the
+   * transaction, so that it is tracked in development mode.
+   *
+   * @param {string} method
+   * @param {!Array<*>} args
+   * @return {!IDBRequest}
+   */
+  _issue(method, args) {
+    const name = `${this._describe()}.${method}()`;
+    return this._transaction._track(name, () => {
+      return this._source[method](...args);
+    });
+  }
+
+  /**
+   * @return {string} A description of the Data Source, for errors.
+   */
+  _describe() {
+    return `objectStore("${this.name}")`;
+  }
+
   /**
    * Counts the number of records in the Data Source. An optional query may be
    * provided to limit the count to only records matching it.
@@ -54,7 +85,7 @@ export default class DataSource {
    */
   count(query = null) {
     return new Request(
-      query == null ? this._source.count() : this._source.count(query),
+      this._issue('count', query == null ? [] : [query]),
       this._transaction,
       this
     );
@@ -69,7 +100,7 @@ export default class DataSource {
    * @return {!Request<*>}
    */
   get(key) {
-    return new Request(this._source.get(key), this._transaction, this);
+    return new Request(this._issue('get', [key]), this._transaction, this);
   }
 
   /**
@@ -83,7 +114,7 @@ export default class DataSource {
    * @return {!Request<!Array<*>>}
    */
   getAll(query = null, count = Infinity) {
-    return new Request(this._source.getAll(query, count), this._transaction, this);
+    return new Request(this._issue('getAll', [query, count]), this._transaction, this);
   }
 
   /**
@@ -96,7 +127,7 @@ export default class DataSource {
    * @return {!Request<!Array<*>>}
    */
   getAllKeys(query = null, count = Infinity) {
-    return new Request(this._source.getAllKeys(query, count), this._transaction, this);
+    return new Request(this._issue('getAllKeys', [query, count]), this._transaction, this);
   }
 
   /**
@@ -108,7 +139,8 @@ export default class DataSource {
    * @return {!CursorRequest} A wrapper around an iterating IDBCursor.
    */
   openCursor(query = null, direction = 'next') {
-    return new CursorRequest(this._source.openCursor(query, direction), this._transaction, this);
+    const request = this._issue('openCursor', [query, direction]);
+    return new CursorRequest(request, this._transaction, this);
   }
 
   /**
@@ -117,9 +149,94 @@ export default class DataSource {
    *
    * @param {*=} query The key to iterate, or an IDBKeyRange of the keys.
    * @param {./cursor.Direction=} The direction to iterate in.
-   * @return {!CursorRequest} A wrapper around an iterating IDBCursor.
+   * @return {!CursorRequest} A wrapper around an iterating IDBCursor, which
+   *     passes a `KeyCursor` to its iterator.
    */
   openKeyCursor(query = null, direction = 'next') {
-    return new CursorRequest(this._source.openKeyCursor(query, direction), this._transaction, this);
+    const request = this._issue('openKeyCursor', [query, direction]);
+    return new CursorRequest(request, this._transaction, this, true);
+  }
+
+  /**
+   * Scans all records in the Data Source, or those matched by `query`, for
+   * large read-only iterations such as exports. Rather than advancing a cursor
+   * one record at a time, the records are fetched in batches of `batchSize`
+   * where the implementation allows it. See `./scan`.
+   *
+   * @param {*=} query The key to iterate, or an IDBKeyRange of the keys.
+   * @param {{
+   *   batchSize: (number|undefined),
+   *   direction: (./cursor.Direction|undefined),
+   * }=} options `batchSize` defaults to 100, and `direction` to `next`.
+   * @return {!Scan} A scan to iterate with `Scan#iterate`.
+   */
+  scan(query = null, { batchSize = 100, direction = 'next' } = {}) {
+    return new Scan(this, query, batchSize, direction);
+  }
+
+  /**
+   * Fetches a page of up to `limit` records in the Data Source, or those
+   * matched by `query`. Rather than skipping the records of earlier pages,
+   * which takes time proportional to the offset, pages resume from the
+   * position of the previous page's edge, encoded in an opaque token.
+   *
+   * Pass the `nextToken` (or `prevToken`) of a page as `after` to fetch the
+   * page after (or before) it, along with the same `query` and `limit`. The
+   * token also records the `direction` the pages are shown in.
+   *
+   * @param {{
+   *   query: (*|undefined),
+   *   direction: (./cursor.Direction|undefined),
+   *   limit: (number|undefined),
+   *   after: (?string|undefined),
+   * }=} options `direction` defaults to `next`, and `limit` to 25.
+   * @return {!SyncPromise<!../paging.Page>} A Promise-like that resolves with
+   *     the page's values, and the tokens of the next and previous pages, if
+   *     any. It rejects with a `DataError` if the token is invalid.
+   */
+  page({ query = null, direction = 'next', limit = 25, after = null } = {}) {
+    return new SyncPromise((resolve) => {
+      const keys = keysOf(this._transaction.db);
+      const position = after == null ? null : decodeToken(after);
+      const shown = position ? position.direction : direction;
+      const scan = position && position.backward ? reverseDirection(shown) : shown;
+      const forward = scan.indexOf('next') === 0;
+      // Records with the same index key are ordered by primary key, so
+      // resuming in the middle of them needs the primary key too.
+      const duplicates = !!this.objectStore && !/unique$/.test(scan);
+
+      let range = query;
+      if (position) {
+        range = narrowRange(keys, query, position.key, forward, !duplicates);
+        if (!range) {
+          resolve(buildPage([], limit, shown, position));
+          return;
+        }
+      }
+
+      const records = [];
+      resolve(this.openCursor(range, scan).iterate((cursor) => {
+        const { key } = cursor;
+        const primaryKey = this.objectStore ? cursor.primaryKey : key;
+
+        if (position && duplicates && keys.cmp(key, position.key) === 0) {
+          const order = keys.cmp(primaryKey, position.primaryKey) * (forward ? 1 : -1);
+          if (order < 0 && cursor.canContinuePrimaryKey()) {
+            cursor.continuePrimaryKey(position.key, position.primaryKey);
+            return;
+          }
+          if (order <= 0) {
+            cursor.continue();
+            return;
+          }
+        }
+
+        records.push({ key, primaryKey, value: cursor.value });
+        // Find one more record than needed, to tell if there's another page.
+        if (records.length <= limit) {
+          cursor.continue();
+        }
+      }).then(() => buildPage(records, limit, shown, position)));
+    });
   }
 }
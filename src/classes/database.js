@@ -14,8 +14,83 @@
  * limitations under the License.
  */
 
-import ObjectStore, { VersionChangeObjectStore } from './object-store';
+import { VersionChangeObjectStore, canRename } from './object-store';
 import Transaction from './transaction';
+import SyncPromise from './sync-promise';
+import { onCloseRequest } from '../broadcast';
+
+/**
+ * What a database connection does when another connection wants to upgrade or
+ * delete the database.
+ *
+ * @enum {string}
+ */
+export const VersionChangePolicy = {
+  // Do nothing, leaving it to the `onversionchange` handler.
+  NONE: 'none',
+  // Close the connection immediately.
+  CLOSE: 'close',
+  // Close the connection once every in-flight transaction finishes.
+  DRAIN: 'drain',
+  // Close the connection once every in-flight transaction finishes, then open
+  // a new connection at the new version.
+  REOPEN: 'reopen',
+};
+
+/**
+ * The names of the errors `Database#run` retries by default, which are
+ * usually transient.
+ *
+ * @const {!Array<string>}
+ */
+export const TRANSIENT_ERRORS = [
+  'TransactionInactiveError',
+  'UnknownError',
+  'QuotaExceededError',
+];
+
+/**
+ * The default `backoff` of `Database#run`, which waits 50ms before the first
+ * retry and doubles the wait before every later one.
+ *
+ * @param {number} attempt The attempt that failed, starting at 1.
+ * @return {number} The time to wait before the next attempt.
+ */
+function retryBackoff(attempt) {
+  return 50 * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Whether `error` should be retried under the `retryOn` policy. A list of
+ * names matches either the error itself or its `cause`, such as the error
+ * that aborted a transaction.
+ *
+ * @param {!Array<string>|function(*):boolean} retryOn
+ * @param {*} error
+ * @return {boolean}
+ */
+function shouldRetry(retryOn, error) {
+  if (typeof retryOn === 'function') {
+    return !!retryOn(error);
+  }
+  return [error, error && error.cause].some((e) => {
+    return !!e && retryOn.indexOf(e.name) > -1;
+  });
+}
+
+/**
+ * The event a Database's `versionChange` resolves with, once its policy has
+ * been applied. `database` is the newly opened connection if the policy
+ * reopened the database, or `null`.
+ *
+ * @typedef {{
+ *   oldVersion: number,
+ *   newVersion: ?number,
+ *   transaction: null,
+ *   database: ?Database,
+ * }}
+ */
+let VersionChangedEvent;
 
 /**
  * A wrapper around IDBDatabase, which provides access to other wrapped APIs.
@@ -116,9 +191,120 @@ class BaseDatabase {
 export default class Database extends BaseDatabase {
   /**
    * @param {!IDBDatabase} database
+   * @param {{
+   *   versionchange: (!VersionChangePolicy|undefined),
+   *   reopen: (function(number):!SyncPromise<!Database>|undefined),
+   *   versionFields: (!Object<string, string>|undefined),
+   *   keys: (!../paging.Keys|undefined),
+   * }=} options The policy to apply when another connection wants to upgrade
+   *     or delete the database, a function to open a new connection at a
+   *     given version (required by the `reopen` policy), the version field
+   *     of each objectStore using compare-and-swap writes, and the key
+   *     helpers of the backend that opened the database.
    */
-  constructor(database) {
-    super(database)
+  constructor(database, {
+    versionchange = VersionChangePolicy.NONE,
+    reopen,
+    versionFields = {},
+    keys = null,
+  } = {}) {
+    super(database);
+
+    /**
+     * The key helpers of the backend that opened the database, or `null` to
+     * use the globals. See `DataSource#page`.
+     *
+     * @const {?../paging.Keys}
+     */
+    this._keys = keys;
+
+    /**
+     * The version field of each objectStore using compare-and-swap writes.
+     * See `ObjectStore#putIfVersion`.
+     *
+     * @const {!Object<string, string>}
+     */
+    this._versionFields = versionFields;
+
+    /** @const {!VersionChangePolicy} */
+    this._policy = versionchange;
+
+    /** @const */
+    this._reopen = reopen;
+
+    /**
+     * The number of transactions that have not yet completed or aborted.
+     *
+     * @type {number}
+     */
+    this._inflight = 0;
+
+    /**
+     * Called once there are no more in-flight transactions, if we're waiting
+     * to close the connection.
+     *
+     * @type {?function()}
+     */
+    this._drained = null;
+
+    /**
+     * Whether we're already applying the versionchange policy.
+     *
+     * @type {boolean}
+     */
+    this._changing = false;
+
+    /**
+     * Resolves the `versionChange` promise.
+     *
+     * @type {function(!VersionChangedEvent)}
+     */
+    this._resolveVersionChange = null;
+
+    /**
+     * Rejects the `versionChange` promise.
+     *
+     * @type {function(*)}
+     */
+    this._rejectVersionChange = null;
+
+    /**
+     * A Promise-like that resolves once another connection wants to upgrade
+     * or delete the database and this connection's versionchange policy has
+     * been applied.
+     *
+     * @const
+     * @type {!SyncPromise<!VersionChangedEvent>}
+     */
+    this.versionChange = new SyncPromise((resolve, reject) => {
+      this._resolveVersionChange = resolve;
+      this._rejectVersionChange = reject;
+    });
+
+    database.addEventListener('versionchange', ({ oldVersion, newVersion }) => {
+      this._versionChange(oldVersion, newVersion);
+    });
+
+    /**
+     * Stops listening to close requests broadcast by blocked connections.
+     *
+     * @const {function()}
+     */
+    this._stopListening = versionchange === VersionChangePolicy.NONE ?
+      () => {} :
+      onCloseRequest(this.name, ({ version }) => {
+        if (version === null || version > this.version) {
+          this._versionChange(this.version, version);
+        }
+      });
+  }
+
+  /**
+   * Closes this database connection.
+   */
+  close() {
+    this._stopListening();
+    super.close();
   }
 
   /**
@@ -131,13 +317,140 @@ export default class Database extends BaseDatabase {
    * @param {IDBTransactionMode=} mode Limits data access to the provided mode:
    *     either `readonly` or `readwrite`.
    *     @see https://www.w3.org/TR/IndexedDB/#idl-def-IDBTransactionMode
+   * @param {{durability: (string|undefined)}=} options Options for the
+   *     transaction. `durability` may be `relaxed`, trading durability for
+   *     write throughput, or `strict`, and is ignored where not supported.
+   *     @see https://www.w3.org/TR/IndexedDB-3/#dictdef-idbtransactionoptions
    * @return {!Transaction} A wrapped IDBTransaction.
    */
-  transaction(scope, mode = 'readonly') {
-    return new Transaction(
-      this._database.transaction(scope, mode),
-      this
-    );
+  transaction(scope, mode = 'readonly', { durability } = {}) {
+    const transaction = durability ?
+      this._database.transaction(scope, mode, { durability }) :
+      this._database.transaction(scope, mode);
+    const finished = () => {
+      this._inflight--;
+      if (this._drained && this._inflight === 0) {
+        this._drained();
+      }
+    };
+
+    this._inflight++;
+    transaction.addEventListener('complete', finished);
+    transaction.addEventListener('abort', finished);
+
+    return new Transaction(transaction, this, [].concat(scope));
+  }
+
+  /**
+   * Runs `callback` inside a new transaction, as `Transaction#run` does. If
+   * the run fails with a transient error, it is retried inside a fresh
+   * transaction (the failed attempt having been rolled back), up to
+   * `retries` times.
+   *
+   * @param {string|!Array<string>} scope The objectStore(s) that may be
+   *     accessed inside the transaction.
+   * @param {IDBTransactionMode} mode Either `readonly` or `readwrite`.
+   * @param {function(!RunningTransaction, number):T} callback Receives the
+   *     transaction and the attempt number, starting at 1.
+   * @param {{
+   *   retries: (number|undefined),
+   *   backoff: (function(number):number|undefined),
+   *   retryOn: (!Array<string>|function(*):boolean|undefined),
+   *   durability: (string|undefined),
+   *   signal: (AbortSignal|undefined),
+   *   timeout: (number|undefined),
+   *   warnAfter: (number|undefined),
+   *   onSlow: (?function(!../timeout.SlowTransaction)|undefined),
+   * }=} options `retries` defaults to 3. `backoff` receives the failed
+   *     attempt's number and returns the milliseconds to wait before the next
+   *     attempt. `retryOn` lists the error names to retry (defaulting to
+   *     `TRANSIENT_ERRORS`), or decides whether to retry an error. The
+   *     `durability`, `signal`, `timeout`, `warnAfter` and `onSlow` apply to
+   *     every attempt (see `Transaction#run`); an aborted signal is never
+   *     retried.
+   * @return {!SyncPromise<T>} A Promise-like that resolves with the result of
+   *     the first successful attempt, or rejects with the last attempt's
+   *     error.
+   * @template T
+   */
+  run(scope, mode, callback, options = {}) {
+    const {
+      retries = 3,
+      backoff = retryBackoff,
+      retryOn = TRANSIENT_ERRORS,
+      durability,
+      signal,
+      timeout,
+      warnAfter,
+      onSlow,
+    } = options;
+
+    const attempt = (number) => {
+      return this.transaction(scope, mode, { durability }).run((tx) => {
+        return callback(tx, number);
+      }, { signal, timeout, warnAfter, onSlow }).catch((error) => {
+        if (number > retries || (signal && signal.aborted) || !shouldRetry(retryOn, error)) {
+          throw error;
+        }
+        return new SyncPromise((resolve) => {
+          setTimeout(resolve, backoff(number));
+        }).then(() => attempt(number + 1));
+      });
+    };
+
+    return new SyncPromise((resolve) => resolve(attempt(1)));
+  }
+
+  /**
+   * Applies the versionchange policy, resolving the `versionChange` promise
+   * once done.
+   *
+   * @param {number} oldVersion
+   * @param {?number} newVersion The version another connection wants to
+   *     upgrade to, or `null` if it wants to delete the database.
+   */
+  _versionChange(oldVersion, newVersion) {
+    if (this._changing) {
+      return;
+    }
+    this._changing = true;
+
+    const policy = this._policy;
+    const event = {
+      oldVersion,
+      newVersion,
+      transaction: null,
+      database: null,
+    };
+
+    if (policy === VersionChangePolicy.NONE) {
+      this._resolveVersionChange(event);
+      return;
+    }
+
+    if (policy === VersionChangePolicy.CLOSE) {
+      this.close();
+      this._resolveVersionChange(event);
+      return;
+    }
+
+    new SyncPromise((resolve) => {
+      if (this._inflight === 0) {
+        resolve();
+      } else {
+        this._drained = resolve;
+      }
+    }).then(() => {
+      this.close();
+
+      if (policy !== VersionChangePolicy.REOPEN || newVersion === null) {
+        return null;
+      }
+      return this._reopen(newVersion);
+    }).then((database) => {
+      event.database = database;
+      this._resolveVersionChange(event);
+    }, this._rejectVersionChange);
   }
 }
 
@@ -185,4 +498,51 @@ export class VersionChangeDatabase extends BaseDatabase {
     this.objectStoreNames = this._database.objectStoreNames;
     this._transaction.objectStoreNames = this.objectStoreNames;
   }
+
+  /**
+   * Renames the objectStore `oldName` to `newName`. Where native renaming is
+   * not supported, a new objectStore is created with the same parameters and
+   * indexes, every record is copied into it (preserving keys), and the old
+   * objectStore is deleted. Note that this may only be called inside the
+   * `upgrade` handler provided to `IndexedDBP#open`, and that the upgrade must
+   * wait on the returned Promise-like.
+   *
+   * @param {string} oldName
+   * @param {string} newName
+   * @return {!SyncPromise<!VersionChangeObjectStore>} A Promise-like that
+   *     resolves to the renamed objectStore once all records are copied.
+   */
+  renameObjectStore(oldName, newName) {
+    const old = this._transaction.objectStore(oldName);
+    const store = old._source;
+
+    if (canRename(store)) {
+      store.name = newName;
+      this.objectStoreNames = this._database.objectStoreNames;
+      this._transaction.objectStoreNames = this.objectStoreNames;
+      return SyncPromise.resolve(this._transaction.objectStore(newName));
+    }
+
+    const { keyPath, autoIncrement } = store;
+    const renamed = this.createObjectStore(newName, { keyPath, autoIncrement });
+    Array.prototype.forEach.call(store.indexNames, (name) => {
+      const index = store.index(name);
+      renamed.createIndex(name, index.keyPath, {
+        unique: index.unique,
+        multiEntry: index.multiEntry,
+      });
+    });
+
+    return old.openCursor().while((cursor) => {
+      if (keyPath == null) {
+        // An objectStore cursor's key is the record's primary key.
+        renamed.put(cursor.value, cursor.key);
+      } else {
+        renamed.put(cursor.value);
+      }
+    }).then(() => {
+      this.deleteObjectStore(oldName);
+      return renamed;
+    });
+  }
 }
@@ -47,4 +47,11 @@ export default class Index extends DataSource {
      */
     this.unique = index.unique;
   }
+
+  /**
+   * @return {string} A description of the index, for errors.
+   */
+  _describe() {
+    return `${this.objectStore._describe()}.index("${this.name}")`;
+  }
 }
@@ -16,7 +16,27 @@
 
 import DataSource from './data-source';
 import Request from './request';
+import SyncPromise from './sync-promise';
 import Index from './index';
+import { evaluateKeyPath } from '../key-path';
+import { nextVersion, versionField, withVersion } from '../versioning';
+
+/**
+ * Whether the native `object` supports renaming by setting its `name`, which
+ * was introduced in IndexedDB 2.0.
+ *
+ * @param {!IDBObjectStore|!IDBIndex} object
+ * @return {boolean}
+ */
+export function canRename(object) {
+  for (let proto = object; proto; proto = Object.getPrototypeOf(proto)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, 'name');
+    if (descriptor) {
+      return !!descriptor.set;
+    }
+  }
+  return false;
+}
 
 /**
  * A wrapper around IDBObjectStore, which provides a thin Promise-like API.
@@ -57,7 +77,10 @@ export default class ObjectStore extends DataSource {
    * @return {!Request<IDBKeyType>} A wrapped IDBRequest to add the record.
    */
   add(record, key = undefined) {
-    return new Request(this._source.add(record, key), this.transaction, this);
+    const request = this._write(undefined, () => this._issue('add', [record, key]), (result) => {
+      return { type: 'add', store: this.name, key: result, value: record };
+    });
+    return new Request(request, this.transaction, this);
   }
 
   /**
@@ -66,7 +89,10 @@ export default class ObjectStore extends DataSource {
    * @return {!Request<undefined>} A wrapped IDBRequest to clear all records.
    */
   clear() {
-    return new Request(this._source.clear(), this.transaction, this);
+    const request = this._write(null, () => this._issue('clear', []), () => {
+      return { type: 'clear', store: this.name };
+    });
+    return new Request(request, this.transaction, this);
   }
 
   /**
@@ -78,7 +104,10 @@ export default class ObjectStore extends DataSource {
    * @return {!Request<undefined>} A wrapped IDBRequest to delete the record.
    */
   delete(key) {
-    return new Request(this._source.delete(key), this.transaction, this);
+    const request = this._write(key, () => this._issue('delete', [key]), () => {
+      return { type: 'delete', store: this.name, key };
+    });
+    return new Request(request, this.transaction, this);
   }
 
   /**
@@ -87,7 +116,7 @@ export default class ObjectStore extends DataSource {
    * @return {!Index} A wrapped IDBIndex
    */
   index(name) {
-    return new Index(this._source.index(name), this.transaction, this);
+    return new Index(this._issue('index', [name]), this.transaction, this);
   }
 
   /**
@@ -99,7 +128,68 @@ export default class ObjectStore extends DataSource {
    *     record.
    */
   put(record, key = undefined) {
-    return new Request(this._source.put(record, key), this.transaction, this);
+    let replaced = key;
+    if (replaced === undefined && this.keyPath != null) {
+      replaced = evaluateKeyPath(record, this.keyPath);
+    }
+    const request = this._write(replaced, () => this._issue('put', [record, key]), (result) => {
+      return { type: 'put', store: this.name, key: result, value: record };
+    });
+    return new Request(request, this.transaction, this);
+  }
+
+  /**
+   * Writes the record to the objectStore only if the stored record is still
+   * at `expectedVersion` (a missing record being at version 0), incrementing
+   * its version. The read, comparison and write all happen inside the
+   * transaction, so that concurrent edits are detected rather than silently
+   * overwritten. The objectStore must have a version field, configured by the
+   * `versionFields` option of `IndexedDBP#open`.
+   *
+   * @param {!Object} record The record to write. It is copied, rather than
+   *     modified, to set the new version.
+   * @param {number} expectedVersion
+   * @param {IDBKeyType=} key The key of the record, for objectStores without
+   *     a key path.
+   * @return {!SyncPromise<!../versioning.VersionedWrite>} A Promise-like that
+   *     resolves with the record's key and new version, or rejects with a
+   *     `ConflictError` (containing the `current` stored record) if the
+   *     versions differ.
+   */
+  putIfVersion(record, expectedVersion, key = undefined) {
+    return new SyncPromise((resolve) => {
+      const field = versionField(this.transaction, this.name);
+      let stored = key;
+      if (stored === undefined && this.keyPath != null) {
+        stored = evaluateKeyPath(record, this.keyPath);
+      }
+      const current = stored === undefined ? SyncPromise.resolve(undefined) : this.get(stored);
+
+      resolve(current.then((value) => {
+        const version = nextVersion(this.name, field, stored, value, expectedVersion);
+        return this.put(withVersion(record, field, version), key).then((result) => {
+          return { key: result, version };
+        });
+      }));
+    });
+  }
+
+  /**
+   * Issues a write through the transaction's undo log, so that it may be
+   * rolled back to a savepoint (see `../undo-log`), and records it if the
+   * transaction is a dry run.
+   *
+   * @param {*} query The key (or key range) of the records the write
+   *     replaces, `null` for every record, or `undefined` for a new record.
+   * @param {function():!IDBRequest} issue Issues the write.
+   * @param {function(*):!../transaction.Change} change Describes the write,
+   *     given the write's result.
+   * @return {!IDBRequest}
+   */
+  _write(query, issue, change) {
+    const request = this.transaction._undoLog.write(this._source, query, issue);
+    this.transaction._recordChange(request, change);
+    return request;
   }
 }
 
@@ -131,4 +221,29 @@ export class VersionChangeObjectStore extends ObjectStore {
     this._source.deleteIndex(name);
     this.indexNames = this._source.indexNames;
   }
+
+  /**
+   * Renames the index `oldName` on the objectStore to `newName`. Where native
+   * renaming is not supported, the index is recreated under the new name.
+   * Note that this may only be called inside the `upgrade` handler provided
+   * to `IndexedDBP#open`.
+   *
+   * @param {string} oldName
+   * @param {string} newName
+   * @return {!Index} A wrapped IDBIndex
+   */
+  renameIndex(oldName, newName) {
+    const index = this._source.index(oldName);
+
+    if (canRename(index)) {
+      index.name = newName;
+      this.indexNames = this._source.indexNames;
+      return new Index(index, this.transaction, this);
+    }
+
+    const { keyPath, unique, multiEntry } = index;
+    const renamed = this.createIndex(newName, keyPath, { unique, multiEntry });
+    this.deleteIndex(oldName);
+    return renamed;
+  }
 }
@@ -15,6 +15,7 @@
  */
 
 import SyncPromise from './sync-promise';
+import { abortable, abortTransaction } from '../signal';
 
 /**
  * A wrapper around IDBRequest to give it a Promise-like API.
@@ -73,6 +74,21 @@ export default class Request {
     });
   }
 
+  /**
+   * Creates a new Promise-like that settles with this request, unless the
+   * `signal` aborts first. In that case, the request's transaction is aborted
+   * (rolling back its changes) and the Promise-like rejects with the signal's
+   * reason.
+   *
+   * @param {AbortSignal} signal
+   * @return {!SyncPromise<T>} A Promise-like
+   */
+  withSignal(signal) {
+    return abortable(signal, () => abortTransaction(this._request.transaction), () => {
+      return this._promise;
+    });
+  }
+
   /**
    * Creates a new Promise-like that will transition into the state returned by
    * `onRejected` if this request fails.
@@ -0,0 +1,364 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import SyncPromise from './sync-promise';
+import createError from '../errors';
+import { abortable, abortTransaction } from '../signal';
+import { keysOf, narrowRange } from '../paging';
+
+/**
+ * A read-only stand-in for a `Cursor`, passed to the iterator of a batched
+ * `Scan`. Its position moves through the records of the fetched batches,
+ * rather than a native cursor.
+ */
+class ScanCursor {
+  /**
+   * @param {!ObjectStore} source The objectStore being scanned.
+   * @param {!./cursor.Direction} direction
+   * @param {!../paging.Keys} keys
+   */
+  constructor(source, direction, keys) {
+    /** @const */
+    this.source = source;
+
+    /** @const */
+    this.transaction = source.transaction;
+
+    /** @const {!./cursor.Direction} */
+    this.direction = direction;
+
+    /** @const */
+    this._keys = keys;
+
+    /**
+     * The key of the record at the cursor's current position.
+     * @type {IDBKeyType}
+     */
+    this.key = null;
+
+    /**
+     * The primary key of the record at the cursor's current position, which
+     * is also its key.
+     * @type {IDBKeyType}
+     */
+    this.primaryKey = null;
+
+    /**
+     * The record at the cursor's current position.
+     * @type {*}
+     */
+    this.value = undefined;
+
+    /**
+     * How the iterator asked to move the cursor, if it did: past `skip`
+     * records, then to the first record at or after `key`.
+     * @type {?{skip: number, key: IDBKeyType}}
+     */
+    this._move = null;
+  }
+
+  /**
+   * Updates the cursor's position to a fetched record.
+   *
+   * @param {IDBKeyType} key
+   * @param {*} value
+   */
+  _moveTo(key, value) {
+    this.key = this.primaryKey = key;
+    this.value = value;
+    this._move = null;
+  }
+
+  /**
+   * Advances the cursor `count` iterations, skipping the records.
+   *
+   * @param {number} count A number positive number to advance by.
+   */
+  advance(count) {
+    if (!(count > 0)) {
+      throw new TypeError('The count must be positive.');
+    }
+    this._moveBy(count - 1, null);
+  }
+
+  /**
+   * Advances the cursor to the next record. If the optional `key` is provided,
+   * the cursor continues to advance until the current record's key matches or
+   * there is nothing left to iterate.
+   *
+   * @param {IDBKeyType=} key
+   */
+  continue(key = null) {
+    if (key != null && this._keys.cmp(key, this.key) <= 0) {
+      throw createError(
+        'DataError',
+        'The key is not beyond the cursor\'s position.'
+      );
+    }
+    this._moveBy(0, key);
+  }
+
+  /**
+   * Records the movement requested by the iterator.
+   *
+   * @param {number} skip
+   * @param {IDBKeyType} key
+   */
+  _moveBy(skip, key) {
+    if (this._move) {
+      throw createError('InvalidStateError', 'The cursor is already advancing.');
+    }
+    this._move = { skip, key };
+  }
+}
+
+/**
+ * The state of a batched `Scan#iterate`, as it moves through the fetched
+ * batches.
+ */
+class BatchIteration {
+  /**
+   * @param {!Scan} scan
+   * @param {!function(!ScanCursor):*} iterator
+   * @param {?AbortSignal|undefined} signal
+   * @param {function(!Array<*>)} resolve
+   * @param {function(*)} reject
+   */
+  constructor(scan, iterator, signal, resolve, reject) {
+    const { source, direction } = scan;
+
+    /** @const */
+    this._scan = scan;
+
+    /** @const */
+    this._iterator = iterator;
+
+    /** @const */
+    this._signal = signal;
+
+    /** @const */
+    this._resolve = resolve;
+
+    /** @const */
+    this._reject = reject;
+
+    /** @const */
+    this._keys = keysOf(source._transaction.db);
+
+    /** @const */
+    this._cursor = new ScanCursor(source, direction, this._keys);
+
+    /** @const {!Array<*>} */
+    this._results = [];
+
+    /** @type {!Array<IDBKeyType>} */
+    this._batchKeys = [];
+
+    /** @type {!Array<*>} */
+    this._batchValues = [];
+
+    /**
+     * The index of the next record to consider in the batch.
+     * @type {number}
+     */
+    this._position = 0;
+
+    /**
+     * How the cursor was last asked to move. See `ScanCursor#_move`.
+     * @type {{skip: number, key: IDBKeyType}}
+     */
+    this._move = { skip: 0, key: null };
+
+    /** @type {boolean} */
+    this._running = false;
+
+    /** @type {boolean} */
+    this._again = false;
+  }
+
+  /**
+   * Fetches the batch of records in `range`.
+   *
+   * @param {*} range
+   */
+  fetch(range) {
+    const { source, batchSize } = this._scan;
+    SyncPromise.all([
+      source.getAllKeys(range, batchSize),
+      source.getAll(range, batchSize),
+    ]).then(([keys, values]) => {
+      this._batchKeys = keys;
+      this._batchValues = values;
+      this._position = 0;
+      this._run();
+    }).catch(this._reject);
+  }
+
+  /**
+   * Calls `_step` in a loop rather than recursively, since iterators that
+   * return synchronously would otherwise nest a call per record.
+   */
+  _run() {
+    if (this._running) {
+      this._again = true;
+      return;
+    }
+    this._running = true;
+    do {
+      this._again = false;
+      this._step();
+    } while (this._again);
+    this._running = false;
+  }
+
+  /**
+   * Finds the next record the cursor moves to, visiting it, or fetches the
+   * next batch if this one runs out.
+   */
+  _step() {
+    const { _batchKeys: batchKeys, _keys: keys, _move: move } = this;
+    for (; this._position < batchKeys.length; this._position++) {
+      const key = batchKeys[this._position];
+      if (move.skip > 0) {
+        move.skip--;
+      } else if (move.key == null || keys.cmp(key, move.key) >= 0) {
+        this._visit(key, this._batchValues[this._position++]);
+        return;
+      }
+    }
+
+    // A short batch means there are no more records.
+    if (batchKeys.length < this._scan.batchSize) {
+      this._resolve(this._results);
+      return;
+    }
+    const last = batchKeys[batchKeys.length - 1];
+    let range = narrowRange(keys, this._scan._query, last, true, true);
+    if (range && move.key != null && move.skip === 0) {
+      range = narrowRange(keys, range, move.key, true, false);
+    }
+    if (range) {
+      this.fetch(range);
+    } else {
+      this._resolve(this._results);
+    }
+  }
+
+  /**
+   * Moves the cursor to the record, calling the iterator with it.
+   *
+   * @param {IDBKeyType} key
+   * @param {*} value
+   */
+  _visit(key, value) {
+    const cursor = this._cursor;
+    cursor._moveTo(key, value);
+    new SyncPromise((resolve) => resolve(this._iterator(cursor))).then((result) => {
+      this._results.push(result);
+      this._move = cursor._move;
+      // If the cursor did not advance, we assume that further iteration is no
+      // longer desired. The same goes for an aborted iteration.
+      if (!this._move || (this._signal && this._signal.aborted)) {
+        this._resolve(this._results);
+        return;
+      }
+      this._run();
+    }).catch(this._reject);
+  }
+}
+
+/**
+ * A scan over the records of a Data Source, which fetches them in batches
+ * with `getAll` and `getAllKeys` where possible. Each batch resumes just
+ * beyond the last key of the previous one, so only the records of the
+ * current batch are held at once. Note that a batch reflects the records at
+ * the time it is fetched, so writes made while iterating one are not seen
+ * until the next.
+ *
+ * Batching needs the primary keys of the records in iteration order, so it
+ * is only used for objectStores iterated in the `next` (or `nextunique`)
+ * direction, by implementations that provide `getAll`. Otherwise, the scan
+ * iterates a cursor instead.
+ */
+export default class Scan {
+  /**
+   * @param {!ObjectStore|!Index} source
+   * @param {*} query The key to iterate, or an IDBKeyRange of the keys.
+   * @param {number} batchSize The number of records to fetch at a time.
+   * @param {!./cursor.Direction} direction
+   */
+  constructor(source, query, batchSize, direction) {
+    /** @const */
+    this.source = source;
+
+    /** @const */
+    this.direction = direction;
+
+    /** @const */
+    this.batchSize = batchSize;
+
+    /** @const */
+    this._query = query;
+  }
+
+  /**
+   * Whether the records can be fetched in batches.
+   *
+   * @return {boolean}
+   */
+  _batched() {
+    const native = this.source._source;
+    return !this.source.objectStore &&
+      this.direction.indexOf('next') === 0 &&
+      typeof native.getAll === 'function' &&
+      typeof native.getAllKeys === 'function';
+  }
+
+  /**
+   * Iterates the records, with the same interface as `CursorRequest#iterate`:
+   * `iterator` is called with a cursor at every record, and is responsible
+   * for explicitly calling either `continue` or `advance` on it, else the
+   * iteration will end. When batched, the cursor is a read-only `ScanCursor`.
+   *
+   * @param {!function(!ScanCursor|!./cursor.Cursor):*} iterator
+   * @param {{signal: (AbortSignal|undefined)}=} options An optional `signal`
+   *     to cancel the iteration, as with `CursorRequest#iterate`.
+   * @return {!SyncPromise<!Array<*>>} A Promise-like that will resolve to the
+   *     values returned from `iterator` at every iteration.
+   */
+  iterate(iterator, options = {}) {
+    if (!this._batched()) {
+      return this.source.openCursor(this._query, this.direction).iterate(iterator, options);
+    }
+
+    const { signal } = options;
+    const abort = () => abortTransaction(this.source._source.transaction);
+    return abortable(signal, abort, () => this._iterate(iterator, signal));
+  }
+
+  /**
+   * Implements a batched `#iterate`.
+   *
+   * @param {!function(!ScanCursor):*} iterator
+   * @param {?AbortSignal|undefined} signal
+   * @return {!SyncPromise<!Array<*>>}
+   */
+  _iterate(iterator, signal) {
+    return new SyncPromise((resolve, reject) => {
+      new BatchIteration(this, iterator, signal, resolve, reject).fetch(this._query);
+    });
+  }
+}
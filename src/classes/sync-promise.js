@@ -64,7 +64,7 @@ export default class SyncPromise {
       }
 
       for (let i = 0; i < promises.length; i++) {
-        SyncPromise.resolve(promise).then((value) => {
+        SyncPromise.resolve(promises[i]).then((value) => {
           values[i] = value;
           if (--count == 0) {
             resolve(values);
@@ -170,7 +170,9 @@ function doResolve(promise, resolve, reject, value, context) {
     let then;
     let isObj = isObject(value);
     if (isObj && value instanceof SyncPromise) {
-      adopt(promise, value._state, value._value);
+      // Subscribe, rather than sharing the pending queue, so that callbacks
+      // registered after `value` settles are still called.
+      value.then(resolve, reject);
     } else if (isObj && (then = value.then) && isFunction(then)) {
       then.call(context, (value) => {
         if (!called) {
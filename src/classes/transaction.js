@@ -16,7 +16,63 @@
 
 import { VersionChangeDatabase } from './database';
 import ObjectStore, { VersionChangeObjectStore } from './object-store';
+import Request from './request';
 import SyncPromise from './sync-promise';
+import createError from '../errors';
+import { abortable, abortTransaction } from '../signal';
+import { captureOperation, explainInactive, isDevMode } from '../dev-mode';
+import UndoLog from '../undo-log';
+import { watch, withDefaults } from '../timeout';
+
+/**
+ * Creates the error a transaction's promise rejects with when it aborts,
+ * describing the transaction and the error (if any) that aborted it.
+ *
+ * @param {!IDBTransaction} transaction
+ * @param {!Array<string>} scope
+ * @return {!Error} An `AbortError`, with the transaction's `scope` and `mode`,
+ *     and the native `transaction.error` as its `cause`.
+ */
+function abortError(transaction, scope) {
+  return createError(
+    'AbortError',
+    `The ${transaction.mode} transaction on "${scope.join('", "')}" was aborted.`,
+    { scope, mode: transaction.mode, cause: transaction.error }
+  );
+}
+
+/**
+ * A write recorded by `Transaction#dryRun`: its `type` (`add`, `put`,
+ * `delete`, `clear` or `update`), the name of the objectStore written to, and
+ * the key (or key range, for `delete`) and value written, where applicable.
+ *
+ * @typedef {{
+ *   type: string,
+ *   store: string,
+ *   key: (*|undefined),
+ *   value: (*|undefined),
+ * }}
+ */
+let Change;
+
+/**
+ * Calls a hook registered with `RunningTransaction#afterCommit` or
+ * `#afterAbort`. By then, the transaction has already settled, so an error
+ * thrown by the hook must not change its outcome. Instead, the error is
+ * rethrown asynchronously, to be reported as uncaught.
+ *
+ * @param {function(*=)} hook
+ * @param {*=} arg
+ */
+function invokeHook(hook, arg) {
+  try {
+    hook(arg);
+  } catch (error) {
+    setTimeout(() => {
+      throw error;
+    }, 0);
+  }
+}
 
 /**
  * A wrapper around IDBTransaction, which provides access to other wrapped APIs.
@@ -37,12 +93,149 @@ class BaseTransaction {
      */
     this.mode = transaction.mode;
 
+    /**
+     * The durability hint the transaction was created with, or `default`
+     * where durability hints are not supported.
+     * @see https://www.w3.org/TR/IndexedDB-3/#dom-idbtransaction-durability
+     *
+     * @const {string}
+     */
+    this.durability = transaction.durability || 'default';
+
     /**
      * The names of all the objectStores the transaction may access.
      *
      * @type {!DOMStringList}
      */
     this.objectStoreNames = transaction.objectStoreNames;
+
+    /**
+     * In development mode, the last operation issued inside the transaction.
+     * See `#_track`.
+     *
+     * @type {?../dev-mode.Operation}
+     */
+    this._lastOperation = null;
+
+    /**
+     * In development mode, `committed` or `aborted` once the transaction has
+     * finished.
+     *
+     * @type {?string}
+     */
+    this._finished = null;
+
+    /**
+     * The records replaced by writes made since the oldest savepoint. See
+     * `RunningTransaction#savepoint`.
+     *
+     * @const {!UndoLog}
+     */
+    this._undoLog = new UndoLog();
+
+    /**
+     * The number of operations issued inside the transaction.
+     *
+     * @type {number}
+     */
+    this._issued = 0;
+
+    /**
+     * The number of requests issued inside the transaction that have not
+     * finished yet.
+     *
+     * @type {number}
+     */
+    this._pending = 0;
+
+    /**
+     * In a dry run, the writes that succeeded. See `Transaction#dryRun`.
+     *
+     * @type {Array<!Change>}
+     */
+    this._changes = null;
+
+    if (isDevMode()) {
+      transaction.addEventListener('complete', () => {
+        this._finished = 'committed';
+      });
+      transaction.addEventListener('abort', () => {
+        this._finished = 'aborted';
+      });
+    }
+  }
+
+  /**
+   * Issues the `name`d operation by calling `issue`. In development mode, the
+   * operation is recorded, and if issuing it fails because the transaction is
+   * no longer active, the error explains which operation was issued too late
+   * and where the previous one was issued from. See `../dev-mode`.
+   *
+   * @param {string} name
+   * @param {function():T} issue
+   * @return {T}
+   * @template T
+   */
+  _track(name, issue) {
+    if (!isDevMode()) {
+      return this._issuedOperation(issue());
+    }
+
+    const operation = captureOperation(name);
+    let result;
+    try {
+      result = issue();
+    } catch (error) {
+      throw explainInactive(error, operation, this._lastOperation, this._finished);
+    }
+    this._lastOperation = operation;
+    return this._issuedOperation(result);
+  }
+
+  /**
+   * Counts an issued operation, and (if it issued a request) the request
+   * until it finishes.
+   *
+   * @param {T} result The operation's result.
+   * @return {T}
+   * @template T
+   */
+  _issuedOperation(result) {
+    this._issued++;
+    if (result && result.readyState === 'pending' && result.addEventListener) {
+      this._pending++;
+      let done = false;
+      const finished = () => {
+        // Note that the listeners are not removed, since some implementations
+        // skip the next listener when one is removed during dispatch.
+        if (!done) {
+          done = true;
+          this._pending--;
+        }
+      };
+      result.addEventListener('success', finished);
+      result.addEventListener('error', finished);
+    }
+    return result;
+  }
+
+  /**
+   * In a dry run, records the write issued by the native `request` once it
+   * succeeds.
+   *
+   * @param {!IDBRequest} request
+   * @param {function(*):!Change} change Describes the write, given the
+   *     request's result.
+   */
+  _recordChange(request, change) {
+    if (!this._changes) {
+      return;
+    }
+    // Listen, rather than setting `onsuccess`, since the request is also
+    // wrapped by the caller.
+    request.addEventListener('success', () => {
+      this._changes.push(change(request.result));
+    });
   }
 
   /**
@@ -78,13 +271,22 @@ export default class Transaction extends BaseTransaction {
   /**
    * @param {!IDBTransaction} transaction
    * @param {!Database} db The database that opened the transaction.
+   * @param {!Array<string>=} scope The names of the objectStores in scope,
+   *     for implementations that do not provide `objectStoreNames`.
    */
-  constructor(transaction, db) {
+  constructor(transaction, db, scope = null) {
     super(transaction);
 
     /** @const */
     this.db = db;
 
+    /**
+     * The names of the objectStores the transaction may access.
+     *
+     * @const {!Array<string>}
+     */
+    this._scope = scope || Array.prototype.slice.call(transaction.objectStoreNames || []);
+
     /**
      * Whether this transaction has run. We limit the transaction to only
      * "running" once inside a `#run` callback to provide a clear indication
@@ -95,7 +297,8 @@ export default class Transaction extends BaseTransaction {
 
     /**
      * A promise that will only resolve when the transaction has finished all
-     * work.
+     * work. It rejects with the error of a failed request, or an `AbortError`
+     * if the transaction is otherwise aborted.
      *
      * @const
      * @type {!SyncPromise<undefined>}
@@ -106,6 +309,12 @@ export default class Transaction extends BaseTransaction {
         resolve();
       };
       transaction.onerror = (event) => reject(event.target.error);
+      // Listen, rather than setting `onabort`, so that handlers set through
+      // `BaseTransaction#onabort` keep working.
+      transaction.addEventListener('abort', () => {
+        this._ran = true;
+        reject(abortError(transaction, this._scope));
+      });
     });
   }
 
@@ -114,31 +323,174 @@ export default class Transaction extends BaseTransaction {
    * The Promise-like returned will wait for both the transaction to complete
    * and the `callback`'s result before resolving with the result.
    *
+   * An optional `signal` may be provided to cancel the run. Once it aborts,
+   * the transaction is aborted (rolling back its changes) and the returned
+   * Promise-like rejects with the signal's reason. If it has already aborted,
+   * the `callback` is never called.
+   *
+   * A `timeout` (in milliseconds) may be provided, so that a `callback` that
+   * waits on something that never finishes does not keep the transaction
+   * open, blocking others on the same scope. Once it elapses, the transaction
+   * is aborted and the returned Promise-like rejects with a `TimeoutError`.
+   * If the run takes longer than `warnAfter` milliseconds, `onSlow` is called
+   * with a report of the transaction. These default to the limits set by
+   * `configureTransactions`. See `../timeout`.
+   *
    * @param {function(!Transaction):T} callback
+   * @param {{
+   *   signal: (AbortSignal|undefined),
+   *   timeout: (number|undefined),
+   *   warnAfter: (number|undefined),
+   *   onSlow: (?function(!../timeout.SlowTransaction)|undefined),
+   * }=} options
    * @return {SyncPromise<T>} A Promise-like that will resolve with the
-   *     `callback`'s result after the transaction completes.
+   *     `callback`'s result after the transaction completes. If the
+   *     transaction aborts, it rejects with the failed request's error or an
+   *     `AbortError` (see `abortError`).
    * @throws {Error} If called a second time. This is to clearly demonstrate
    *     that transactions will close automatically if there is no work to be
    *     done.
    * @template T
    */
-  run(callback) {
+  run(callback, options = {}) {
     if (this._ran) {
       throw new Error('Transaction has already run.');
     }
     this._ran = true;
 
-    return new SyncPromise((resolve) => {
-      const run = new RunningTransaction(this._transaction, this.db);
-      resolve(callback(run));
-    }).then((result) => {
-      // Wait until the transaction completes, but return the callback's
-      // resolved result.
-      return this._promise.then(() => result);
-    }, (error) => {
-      // When an error is thrown, abort the transaction.
-      this.abort();
-      throw error;
+    const run = this._running();
+    return this._watch(run, options, () => {
+      return new SyncPromise((resolve) => {
+        resolve(callback(run));
+      }).then((result) => {
+        // Wait until the transaction completes, but return the callback's
+        // resolved result.
+        return this._promise.then(() => result);
+      }, (error) => {
+        // When an error is thrown, abort the transaction (unless it has
+        // already aborted, eg. through a request's signal).
+        abortTransaction(this._transaction);
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * Opens a "run" block like `#run`, but aborts the transaction once the
+   * `callback` and every request it issued have finished, so that none of its
+   * writes are kept. Every write that succeeded (through `ObjectStore#add`,
+   * `#put`, `#delete` and `#clear`, and `Cursor#update` and `#delete`) is
+   * recorded, so that its changes may be previewed.
+   *
+   * @param {function(!Transaction):T} callback
+   * @param {!Object=} options The same options as `#run`.
+   * @return {SyncPromise<{result: T, changes: !Array<!Change>}>} A
+   *     Promise-like that will resolve with the `callback`'s result and the
+   *     recorded writes, in the order they were made, once the transaction
+   *     has aborted. If a request fails, it rejects with the request's error.
+   * @throws {Error} If called after the transaction has run.
+   * @template T
+   */
+  dryRun(callback, options = {}) {
+    if (this._ran) {
+      throw new Error('Transaction has already run.');
+    }
+    this._ran = true;
+
+    const run = this._running();
+    run._changes = [];
+    return this._watch(run, options, () => {
+      let aborted = false;
+      return new SyncPromise((resolve) => {
+        resolve(callback(run));
+      }).then((result) => {
+        return this._whenIdle(run).then(() => {
+          aborted = true;
+          abortTransaction(this._transaction);
+        }, () => {
+          // The transaction has already finished, eg. because a request
+          // failed. Settle with its outcome instead.
+        }).then(() => this._promise).then(() => {
+          throw createError(
+            'InvalidStateError',
+            'The dry run transaction committed before it could be aborted.'
+          );
+        }, (error) => {
+          if (!aborted) {
+            throw error;
+          }
+          return { result, changes: run._changes };
+        });
+      }, (error) => {
+        abortTransaction(this._transaction);
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * Creates the RunningTransaction passed to a "run" block, invoking its
+   * `afterCommit` or `afterAbort` hooks once the transaction settles.
+   *
+   * @return {!RunningTransaction}
+   */
+  _running() {
+    const run = new RunningTransaction(this._transaction, this.db, this._promise);
+    this._promise.then(() => run._settle(true), (error) => run._settle(false, error));
+    return run;
+  }
+
+  /**
+   * Starts the work of a "run" block, applying the `signal`, `timeout` and
+   * slow transaction diagnostics given in `options` (see `#run`).
+   *
+   * @param {!RunningTransaction} run
+   * @param {!Object} options
+   * @param {function():!SyncPromise<T>} start Starts the work.
+   * @return {!SyncPromise<T>}
+   * @template T
+   */
+  _watch(run, options, start) {
+    const { signal } = options;
+    const { timeout, warnAfter, onSlow } = withDefaults(options);
+    const abort = () => abortTransaction(this._transaction);
+    const { mode } = this;
+    const scope = this._scope;
+
+    const onTimeout = () => {
+      const error = createError(
+        'TimeoutError',
+        `The ${mode} transaction on "${scope.join('", "')}" did not finish ` +
+        `within ${timeout}ms.`,
+        { scope, mode, timeout, pending: run._pending }
+      );
+      abort();
+      return error;
+    };
+    const warn = onSlow && ((elapsed) => {
+      onSlow({ scope, mode, elapsed, pending: run._pending });
+    });
+
+    return watch(abortable(signal, abort, start), timeout, onTimeout, warnAfter, warn);
+  }
+
+  /**
+   * Waits until every request issued through `run` has finished. Since
+   * requests are executed in order, a cheap read issued after them finishes
+   * last. If more operations were issued in the meantime (eg, by a request's
+   * callback), it waits again.
+   *
+   * @param {!RunningTransaction} run
+   * @return {!SyncPromise<undefined>}
+   */
+  _whenIdle(run) {
+    const issued = run._issued;
+    const store = this._transaction.objectStore(this._scope[0]);
+    return new Request(store.get(0)).then(() => {
+      if (run._issued !== issued) {
+        return this._whenIdle(run);
+      }
+      return undefined;
     });
   }
 }
@@ -147,16 +499,153 @@ class RunningTransaction extends BaseTransaction {
   /**
    * @param {!IDBTransaction} transaction
    * @param {!Database} db The database that opened the transaction.
+   * @param {!SyncPromise<undefined>} promise A promise that resolves once the
+   *     transaction completes.
    */
-  constructor(transaction, db) {
+  constructor(transaction, db, promise) {
     super(transaction);
 
     /** @const */
     this.db = db;
+
+    /** @const */
+    this._promise = promise;
+
+    /**
+     * The hooks to call once the transaction commits.
+     *
+     * @const {!Array<function()>}
+     */
+    this._afterCommit = [];
+
+    /**
+     * The hooks to call once the transaction aborts.
+     *
+     * @const {!Array<function(*)>}
+     */
+    this._afterAbort = [];
+
+    /**
+     * Once the transaction has settled, whether it committed and the error
+     * it aborted with.
+     *
+     * @type {?{committed: boolean, error: *}}
+     */
+    this._outcome = null;
   }
 
+  /**
+   * Registers `hook` to be called once the transaction commits, but never if
+   * it aborts. This allows side effects (such as updating an in-memory cache)
+   * to be enqueued by a write, without leaking them if the write is rolled
+   * back. If the transaction has already committed, `hook` is called
+   * immediately.
+   *
+   * Hooks are called in the order they were registered, before the
+   * Promise-like returned by `Transaction#run` settles. An error thrown by a
+   * hook does not change the run's outcome, and is instead reported as
+   * uncaught.
+   *
+   * @param {function()} hook
+   */
+  afterCommit(hook) {
+    if (!this._outcome) {
+      this._afterCommit.push(hook);
+    } else if (this._outcome.committed) {
+      invokeHook(hook);
+    }
+  }
+
+  /**
+   * Registers `hook` to be called with the transaction's error once it
+   * aborts, but never if it commits. See `#afterCommit`.
+   *
+   * @param {function(*)} hook
+   */
+  afterAbort(hook) {
+    if (!this._outcome) {
+      this._afterAbort.push(hook);
+    } else if (!this._outcome.committed) {
+      invokeHook(hook, this._outcome.error);
+    }
+  }
+
+  /**
+   * Calls the hooks registered for the transaction's outcome.
+   *
+   * @param {boolean} committed
+   * @param {*=} error The error the transaction aborted with.
+   */
+  _settle(committed, error) {
+    this._outcome = { committed, error };
+    if (committed) {
+      this._afterCommit.forEach((hook) => invokeHook(hook));
+    } else {
+      this._afterAbort.forEach((hook) => invokeHook(hook, error));
+    }
+  }
+
+  /**
+   * Commits the transaction once its pending requests finish, rather than
+   * waiting for it to automatically commit once there is no more work. No
+   * more requests may be made afterwards. Where explicit commits are not
+   * supported, the transaction is left to commit automatically.
+   *
+   * @return {!SyncPromise<undefined>} A Promise-like that resolves once the
+   *     transaction completes.
+   */
+  commit() {
+    if (typeof this._transaction.commit === 'function') {
+      this._transaction.commit();
+    }
+    return this._promise;
+  }
+
+  /**
+   * Creates a savepoint, which the transaction may later be rolled back to
+   * with `#rollbackTo`. IndexedDB has no savepoints of its own, so while any
+   * savepoint exists, the records replaced by every write (through
+   * `ObjectStore#put`, `#add`, `#delete` and `#clear`, and `Cursor#update`
+   * and `#delete`) are read first and kept in an undo log.
+   *
+   * Note that undoing an `ObjectStore#add` or `#put` does not reset the key
+   * generator of an auto incrementing objectStore.
+   *
+   * @return {!../undo-log.Savepoint} An opaque savepoint.
+   */
+  savepoint() {
+    return this._undoLog.savepoint();
+  }
+
+  /**
+   * Undoes every write made since `savepoint` (in reverse order), leaving the
+   * rest of the transaction to commit. Savepoints created after `savepoint`
+   * are discarded, but `savepoint` itself may be rolled back to again.
+   *
+   * Wait for the returned Promise-like before making more writes, else they
+   * may be undone too.
+   *
+   * @param {!../undo-log.Savepoint} savepoint
+   * @return {!SyncPromise<undefined>} A Promise-like that resolves once the
+   *     writes are undone.
+   * @throws {Error} An `InvalidStateError` if `savepoint` was discarded, or
+   *     was not created by this transaction.
+   */
+  rollbackTo(savepoint) {
+    return this._undoLog.rollbackTo(savepoint);
+  }
+
+  /**
+   * Opens the objectStore `name`.
+   *
+   * @param {string} name
+   * @return {!ObjectStore} A wrapped IDBObjectStore.
+   */
   objectStore(name) {
-    return new ObjectStore(this._transaction.objectStore(name), this);
+    const store = this._track(`objectStore("${name}")`, () => {
+      return this._transaction.objectStore(name);
+    });
+    return new ObjectStore(store, this);
   }
 }
 
@@ -179,6 +668,9 @@ export class VersionChangeTransaction extends BaseTransaction {
    * @return {!VersionChangeObjectStore} A wrapped IDBObjectStore.
    */
   objectStore(name) {
-    return new VersionChangeObjectStore(this._transaction.objectStore(name), this);
+    const store = this._track(`objectStore("${name}")`, () => {
+      return this._transaction.objectStore(name);
+    });
+    return new VersionChangeObjectStore(store, this);
   }
 }
@@ -0,0 +1,140 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from './errors';
+
+/**
+ * Whether development mode is enabled. See `setDevMode`.
+ *
+ * @type {boolean}
+ */
+let enabled = false;
+
+/**
+ * Enables (or disables) development mode. In development mode, every
+ * operation issued inside a transaction records where it was called from, so
+ * that an operation issued after the transaction went inactive fails with an
+ * error explaining what happened, rather than the bare native error.
+ *
+ * Capturing a stack for every operation is expensive, so this is intended for
+ * development only.
+ *
+ * @param {boolean} on
+ */
+export function setDevMode(on) {
+  enabled = !!on;
+}
+
+/**
+ * @return {boolean} Whether development mode is enabled.
+ */
+export function isDevMode() {
+  return enabled;
+}
+
+/**
+ * An operation issued inside a transaction, and where it was called from.
+ *
+ * @typedef {{
+ *   name: string,
+ *   stack: string,
+ * }}
+ */
+let Operation;
+
+/**
+ * Captures the `name`d operation that is about to be issued.
+ *
+ * @param {string} name
+ * @return {!Operation}
+ */
+export function captureOperation(name) {
+  const stack = String(new Error(name).stack || '');
+  // Drop the error's own message line, leaving only the frames.
+  return { name, stack: stack.split('\n').slice(1).join('\n') };
+}
+
+/**
+ * Whether `error`, thrown by issuing an operation, means the transaction was
+ * no longer active.
+ *
+ * @param {*} error
+ * @param {boolean} finished Whether the transaction is known to have
+ *     finished, in which case some implementations throw an
+ *     `InvalidStateError` instead.
+ * @return {boolean}
+ */
+function isInactiveError(error, finished) {
+  if (!error) {
+    return false;
+  }
+  return error.name === 'TransactionInactiveError' ||
+    (finished && error.name === 'InvalidStateError');
+}
+
+/**
+ * Explains why issuing `operation` failed with `error`, if it failed because
+ * the transaction was no longer active. Most often, that's because the
+ * transaction's callback waited on a native Promise (eg, `await`ed something
+ * that is not a `Request` or `SyncPromise`), and the transaction committed
+ * automatically while it waited.
+ *
+ * @param {*} error The error issuing `operation` threw.
+ * @param {!Operation} operation
+ * @param {?Operation} last The last operation successfully issued inside the
+ *     transaction, if any.
+ * @param {?string} state `committed` or `aborted` if the transaction is known
+ *     to have finished.
+ * @return {*} A `TransactionInactiveError` with the `operation`, the `last`
+ *     operation and the original error as its `cause`, or `error` itself if
+ *     the failure was unrelated.
+ */
+export function explainInactive(error, operation, last, state) {
+  if (!isInactiveError(error, !!state)) {
+    return error;
+  }
+
+  const lines = [
+    `${operation.name} was called after the transaction ` +
+      `${state ? `had ${state}` : 'went inactive'}.`,
+  ];
+  if (last) {
+    lines.push(
+      `The previous operation, ${last.name}, was issued while the ` +
+      'transaction was still active.'
+    );
+  }
+  lines.push(
+    'Transactions commit automatically once they have no pending requests, ' +
+    'so waiting on a native Promise (eg, `await`ing anything other than a ' +
+    'Request or SyncPromise) lets the transaction commit before the next ' +
+    'operation is issued.',
+    '',
+    `${operation.name} was called:`,
+    operation.stack
+  );
+  if (last) {
+    lines.push('', `${last.name} was called:`, last.stack);
+  }
+
+  return createError('TransactionInactiveError', lines.join('\n'), {
+    operation: operation.name,
+    operationStack: operation.stack,
+    lastOperation: last ? last.name : null,
+    lastOperationStack: last ? last.stack : null,
+    cause: error,
+  });
+}
@@ -0,0 +1,38 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Creates a new Error with the given `name`, mirroring the named DOMExceptions
+ * that IndexedDB itself rejects with. Any `properties` are copied onto the
+ * error, so that callers may inspect the details of the failure.
+ *
+ * We intentionally avoid subclassing Error, since transpiled subclasses of
+ * builtins do not survive an `instanceof` check. Check the error's `name`
+ * instead, as you would with a native IndexedDB error.
+ *
+ * @param {string} name
+ * @param {string} message
+ * @param {!Object=} properties
+ * @return {!Error}
+ */
+export default function createError(name, message, properties = {}) {
+  const error = new Error(message);
+  error.name = name;
+  Object.keys(properties).forEach((key) => {
+    error[key] = properties[key];
+  });
+  return error;
+}
@@ -15,9 +15,16 @@
  */
 
 import Request from './classes/request';
-import Database from './classes/database';
+import Database, { TRANSIENT_ERRORS, VersionChangePolicy } from './classes/database';
 import { VersionChangeTransaction } from './classes/transaction';
 import SyncPromise from './classes/sync-promise';
+import createError from './errors';
+import applySchema from './schema';
+import { requestClose as broadcastClose } from './broadcast';
+import { databases, register, unregister } from './registry';
+import { setDevMode } from './dev-mode';
+import { configureTransactions } from './timeout';
+import { abortTransaction } from './signal';
 
 
 /**
@@ -32,15 +39,59 @@ import SyncPromise from './classes/sync-promise';
  */
 let VersionChangeEvent;
 
+/**
+ * A map of versions to the migration that upgrades the database to that
+ * version. Each migration receives the same arguments as the `upgrade`
+ * callback.
+ *
+ * @typedef {!Object<number, function(!VersionChangeDatabase, !VersionChangeEvent)>}
+ */
+let Migrations;
+
 /**
  * An object which provides the `upgrade` and `blocked` callbacks to use when
  * upgrading the database's version. The `upgrade` callback's
  * `VersionChangeEvent` will contain a `VersionChangeTransaction` object, while
  * the `blocked` callback's will not.
  *
+ * The `upgrade` callback may return a Promise-like (eg, a `Request` or
+ * `SyncPromise`), which becomes part of the upgrade. If it rejects, the
+ * upgrade is aborted and the open fails with its error. Note that waiting on a
+ * native Promise will allow the versionchange transaction to commit early.
+ *
+ * `migrations` may be provided instead of (or in addition to) `upgrade`. Every
+ * migration between the old version (exclusive) and the new version
+ * (inclusive) is run in ascending order, before the `upgrade` callback.
+ *
+ * A declarative `schema` may also be provided, which is applied after the
+ * `migrations` but before the `upgrade` callback. See `./schema`.
+ *
+ * If other connections block the upgrade, `blockedTimeout` limits how long
+ * (in milliseconds) to wait for them to close. The wait is retried
+ * `blockedRetries` times, each after a delay computed by `blockedBackoff`
+ * (which defaults to doubling the timeout every attempt). If `requestClose`
+ * is provided, other connections are asked to close at every attempt, either
+ * by calling it or, if it is `true`, over a BroadcastChannel.
+ *
+ * `versionchange` sets the policy the opened connection applies when another
+ * connection wants to upgrade or delete the database, or broadcasts a close
+ * request. See `Database#versionChange`.
+ *
+ * `versionFields` maps objectStore names to the field holding each record's
+ * version, enabling compare-and-swap writes on those objectStores. See
+ * `ObjectStore#putIfVersion`.
+ *
  * @typedef {{
- *   upgrade: ?function(!Database, !VersionChangeEvent),
+ *   upgrade: ?function(!VersionChangeDatabase, !VersionChangeEvent):*,
  *   blocked: ?function(!VersionChangeEvent),
+ *   migrations: ?Migrations,
+ *   schema: ?./schema.Schema,
+ *   blockedTimeout: ?number,
+ *   blockedRetries: ?number,
+ *   blockedBackoff: ?function(number, number):number,
+ *   requestClose: (boolean|function(!VersionChangeEvent)|undefined),
+ *   versionchange: (!VersionChangePolicy|undefined),
+ *   versionFields: (!Object<string, string>|undefined),
  * }}
  */
 let OpenCallbacks;
@@ -63,60 +114,379 @@ function versionChangeEvent({ oldVersion, newVersion }, transaction = null) {
 }
 
 /**
- * An IndexedDB factory instance that wraps IndexedDB in a thin promise-like
- * API.
+ * Validates the versions of the `migrations` map, returning them sorted in
+ * ascending order.
+ *
+ * @param {?Migrations} migrations
+ * @return {!Array<number>}
+ * @throws {TypeError} If a version is not a positive integer, or its
+ *     migration is not a function.
+ */
+function migrationVersions(migrations) {
+  if (!migrations) {
+    return [];
+  }
+
+  return Object.keys(migrations).map((key) => {
+    const version = Number(key);
+    if (!(version >= 1 && Math.floor(version) === version)) {
+      throw new TypeError(`Invalid migration version "${key}".`);
+    }
+    if (typeof migrations[key] !== 'function') {
+      throw new TypeError(`Migration to version ${key} must be a function.`);
+    }
+    return version;
+  }).sort((a, b) => a - b);
+}
+
+/**
+ * Runs every migration needed to bring the database from the event's old
+ * version to its new version, in order. Each migration may return a
+ * Promise-like, which is waited on before running the next migration.
+ *
+ * @param {?Migrations} migrations
+ * @param {!Array<number>} versions The sorted versions of `migrations`.
+ * @param {!VersionChangeDatabase} db
+ * @param {!VersionChangeEvent} event
+ * @return {!SyncPromise<undefined>} A Promise-like that resolves once every
+ *     migration has finished, or rejects with a `MigrationError` naming the
+ *     version that failed.
+ */
+function migrate(migrations, versions, db, event) {
+  const { oldVersion, newVersion } = event;
+
+  return versions.filter((version) => {
+    return version > oldVersion && version <= newVersion;
+  }).reduce((promise, version) => {
+    return promise.then(() => {
+      return new SyncPromise((resolve) => {
+        resolve(migrations[version](db, event));
+      }).catch((error) => {
+        const message = (error && error.message) || error;
+        throw createError(
+          'MigrationError',
+          `Migration to version ${version} failed: ${message}`,
+          { version, cause: error }
+        );
+      });
+    });
+  }, SyncPromise.resolve());
+}
+
+/**
+ * The default `blockedBackoff`, which doubles the timeout on every attempt.
+ *
+ * @param {number} attempt The retry attempt, starting at 1.
+ * @param {number} timeout The initial `blockedTimeout`.
+ * @return {number} The time to wait before giving up on this attempt.
+ */
+function exponentialBackoff(attempt, timeout) {
+  return timeout * Math.pow(2, attempt);
+}
+
+/**
+ * Watches the open or delete `request` for the `blocked` event, calling the
+ * `blocked` callback, asking other connections to close, and giving up once
+ * the `blockedTimeout` and every retry have elapsed.
+ *
+ * @param {!IDBOpenDBRequest} request
+ * @param {string} name The database being opened or deleted.
+ * @param {string} action A description of the request, for the error.
+ * @param {!OpenCallbacks} options
+ * @param {function(!Error)} giveUp Called with a `BlockedError` when the
+ *     request should be abandoned.
+ * @return {function()} A function that stops watching the request, to be
+ *     called once it is no longer blocked.
+ */
+function watchBlocked(request, name, action, options, giveUp) {
+  const {
+    blocked,
+    blockedTimeout = 0,
+    blockedRetries = 0,
+    blockedBackoff = exponentialBackoff,
+    requestClose = false,
+  } = options;
+  let attempt = 0;
+  let timer = null;
+
+  const askToClose = (event) => {
+    if (typeof requestClose === 'function') {
+      requestClose(event);
+    } else if (requestClose) {
+      broadcastClose(name, event.newVersion);
+    }
+  };
+
+  const wait = (event, delay) => {
+    timer = setTimeout(() => {
+      if (attempt >= blockedRetries) {
+        giveUp(createError(
+          'BlockedError',
+          `${action} database "${name}" was blocked by other connections.`,
+          {
+            oldVersion: event.oldVersion,
+            newVersion: event.newVersion,
+            attempts: attempt + 1,
+          }
+        ));
+        return;
+      }
+
+      attempt++;
+      askToClose(event);
+      wait(event, blockedBackoff(attempt, blockedTimeout));
+    }, delay);
+  };
+
+  request.onblocked = (e) => {
+    const event = versionChangeEvent(e);
+    if (blocked) {
+      blocked(event);
+    }
+
+    askToClose(event);
+    if (blockedTimeout > 0) {
+      wait(event, blockedTimeout);
+    }
+  };
+
+  return () => clearTimeout(timer);
+}
+
+/**
+ * The IndexedDB implementation that an `indexedDBP` instance is bound to. Any
+ * member that is not provided falls back to the global of the same name,
+ * looked up lazily.
+ *
+ * @typedef {{
+ *   indexedDB: (!IDBFactory|undefined),
+ *   IDBKeyRange: (!Function|undefined),
+ * }}
+ */
+let Backend;
+
+/**
+ * Creates an IndexedDB factory instance that wraps the `backend` IndexedDB
+ * implementation in a thin promise-like API. This allows several isolated
+ * backends to be used side by side, without touching globals.
+ *
+ * @param {!Backend=} backend
+ * @return {!Object} An object with the same API as the default `indexedDBP`.
  */
-const indexedDBP = {
+export function createIndexedDBP(backend = {}) {
   /**
-   * Deletes the database `name`.
-   *
-   * @return {!Request<undefined>} A wrapped IDBRequest to delete the database.
+   * @return {!IDBFactory}
    */
-  deleteDatabase(name) {
-    return new Request(indexedDB.deleteDatabase(name));
-  },
+  const factory = () => backend.indexedDB || indexedDB;
 
   /**
-   * Opens a new connection to the database `name`, possibly upgrading the
-   * database's version. Optional callbacks `upgrade` and `blocked` may be
-   * provided, which will be called, respectively, when upgrading the database
-   * version or when an already open connection prevents the database from
-   * upgrading to the new version.
-   *
-   * @param {string} name The database to open a connection to.
-   * @param {number=} version The desired version of the database. If this is
-   *     higher than the database's current version, the `upgrade` callback
-   *     will be called once there are no currently open connections to the
-   *     database. If there are currently open connections, the `blocked`
-   *     callback will be called first.
-   * @param {?OpenCallbacks=} An object which provides the `upgrade` and
-   *     `blocked` callbacks to use when upgrading the database's version.
-   * @return {!Request<IDBDatabase>} A wrapped IDBRequest to open the database.
+   * @return {!Function}
    */
-  open(name, version = 1, { upgrade, blocked } = {}) {
-    const open = indexedDB.open(name, version);
-    const request = new Request(open);
+  const keyRange = () => backend.IDBKeyRange || IDBKeyRange;
+
+  /**
+   * An IndexedDB factory instance that wraps IndexedDB in a thin promise-like
+   * API.
+   */
+  const indexedDBP = {
+    /**
+     * The IDBKeyRange constructor of the backend, for building queries.
+     *
+     * @return {!Function}
+     */
+    get IDBKeyRange() {
+      return keyRange();
+    },
+
+    /**
+     * Deletes the database `name`. Optional `blocked` callback and blocked
+     * timeout options may be provided, which behave as they do for `#open`.
+     * Note that a delete cannot be cancelled: once this gives up, the database
+     * will still be deleted when the other connections close.
+     *
+     * @param {string} name The database to delete.
+     * @param {?OpenCallbacks=} options An object which provides the `blocked`
+     *     callback and the blocked timeout options.
+     * @return {!SyncPromise<!VersionChangeEvent>} A Promise-like that resolves
+     *     once the database is deleted, describing the version that was
+     *     deleted. If other connections block the delete past the
+     *     `blockedTimeout`, it rejects with a `BlockedError`.
+     */
+    deleteDatabase(name, options = {}) {
+      const request = factory().deleteDatabase(name);
+
+      return new SyncPromise((resolve, reject) => {
+        let abandoned = false;
+        const unblocked = watchBlocked(request, name, 'Deleting', options, (error) => {
+          abandoned = true;
+          reject(error);
+        });
+
+        request.onsuccess = (event) => {
+          unblocked();
+          const deleted = versionChangeEvent(event);
+          const unregistered = unregister(factory(), name).then(() => deleted);
+          if (!abandoned) {
+            resolve(unregistered);
+          }
+        };
+        request.onerror = () => {
+          unblocked();
+          if (!abandoned) {
+            reject(request.error);
+          }
+        };
+      });
+    },
+
+    /**
+     * Lists the name and version of every database. Where the platform cannot
+     * enumerate its databases natively, this lists the databases recorded by
+     * every `#open` and `#deleteDatabase` made through this library.
+     *
+     * @return {!SyncPromise<!Array<{name: string, version: number}>>}
+     */
+    databases() {
+      return databases(factory());
+    },
+
+    /**
+     * Opens a new connection to the database `name`, possibly upgrading the
+     * database's version. Optional callbacks `upgrade` and `blocked` may be
+     * provided, which will be called, respectively, when upgrading the database
+     * version or when an already open connection prevents the database from
+     * upgrading to the new version.
+     *
+     * @param {string} name The database to open a connection to.
+     * @param {number=} version The desired version of the database. If this is
+     *     higher than the database's current version, the `upgrade` callback
+     *     will be called once there are no currently open connections to the
+     *     database. If there are currently open connections, the `blocked`
+     *     callback will be called first.
+     * @param {?OpenCallbacks=} options An object which provides the `upgrade`
+     *     and `blocked` callbacks, the `migrations` and `schema`, and the
+     *     blocked timeout options to use when upgrading the database's version.
+     * @return {!SyncPromise<!Database>} A Promise-like that resolves to the
+     *     opened database. If a migration fails, the upgrade is aborted and this
+     *     rejects with a `MigrationError`. If the schema cannot be applied, it
+     *     rejects with a `SchemaError`. If the `upgrade` callback throws or
+     *     rejects, it rejects with that error. If other connections block the
+     *     upgrade past the `blockedTimeout`, it rejects with a `BlockedError`.
+     */
+    open(name, version = 1, options = {}) {
+      const { upgrade, migrations, schema, versionchange, versionFields } = options;
+      const versions = migrationVersions(migrations);
+      const open = factory().open(name, version);
+      const request = new Request(open);
+
+      /**
+       * The error that caused us to abort the versionchange transaction, which
+       * is far more descriptive than the AbortError the open request fails
+       * with.
+       * @type {*}
+       */
+      let upgradeError = null;
+
+      /**
+       * Settles once the upgrade's migrations, schema and `upgrade` callback
+       * finish, rejecting if any of them failed. The open only resolves if it
+       * fulfills, since a Promise-like returned by `upgrade` may reject after
+       * the versionchange transaction has already committed.
+       * @type {!SyncPromise<undefined>}
+       */
+      let upgraded = SyncPromise.resolve();
+
+      /**
+       * Whether we gave up waiting on the blocked request. If it is eventually
+       * unblocked, we must not upgrade the database nor leak the connection.
+       * @type {boolean}
+       */
+      let abandoned = false;
+
+      /**
+       * Stops watching the blocked request.
+       * @type {function()}
+       */
+      let unblocked = null;
 
-    if (upgrade) {
       open.onupgradeneeded = (event) => {
+        unblocked();
         const transaction = new VersionChangeTransaction(event.target.transaction);
-        upgrade(transaction.db, versionChangeEvent(event, transaction));
-      };
-    }
+        const { db } = transaction;
+        const change = versionChangeEvent(event, transaction);
 
-    if (blocked) {
-      open.onblocked = (event) => {
-        blocked(versionChangeEvent(event));
+        if (abandoned) {
+          transaction.abort();
+          db.close();
+          return;
+        }
+
+        upgraded = migrate(migrations, versions, db, change).then(() => {
+          if (schema) {
+            applySchema(db, transaction, schema);
+          }
+          if (upgrade) {
+            return upgrade(db, change);
+          }
+          return undefined;
+        }).catch((error) => {
+          upgradeError = error;
+          abortTransaction(event.target.transaction);
+          // Aborting the upgrade should close the connection, but not every
+          // implementation does so. Make sure it can't block later opens.
+          db.close();
+          throw error;
+        });
       };
-    }
 
-    return request.then((database) => {
-      return new Database(database);
-    });
-  },
-};
+      return new SyncPromise((resolve, reject) => {
+        unblocked = watchBlocked(open, name, 'Opening', options, (error) => {
+          abandoned = true;
+          reject(error);
+        });
+
+        request.then((database) => {
+          unblocked();
+          if (abandoned) {
+            database.close();
+            return;
+          }
+
+          resolve(upgraded.then(() => {
+            const db = new Database(database, {
+              versionchange,
+              versionFields,
+              keys: {
+                IDBKeyRange: keyRange(),
+                cmp: (a, b) => factory().cmp(a, b),
+              },
+              reopen: (version) => indexedDBP.open(name, version, options),
+            });
+            return register(factory(), name, db.version).then(() => db);
+          }, (error) => {
+            database.close();
+            throw error;
+          }));
+        }, (error) => {
+          unblocked();
+          if (!abandoned) {
+            reject(upgradeError || error);
+          }
+        });
+      });
+    },
+  };
+
+  return indexedDBP;
+}
+
+const indexedDBP = createIndexedDBP();
 
 export default indexedDBP;
 export {
   SyncPromise,
+  TRANSIENT_ERRORS,
+  VersionChangePolicy,
+  configureTransactions,
+  setDevMode,
 };
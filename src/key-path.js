@@ -0,0 +1,77 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Whether `keyPath` is a valid key path: a string of dot separated
+ * identifiers (or the empty string), or a non-empty array of such strings.
+ *
+ * @param {*} keyPath
+ * @return {boolean}
+ */
+export function isKeyPath(keyPath) {
+  if (Array.isArray(keyPath)) {
+    return keyPath.length > 0 && keyPath.every((path) => {
+      return typeof path === 'string' && isKeyPath(path);
+    });
+  }
+  if (typeof keyPath !== 'string') {
+    return false;
+  }
+  return keyPath === '' || keyPath.split('.').every((identifier) => {
+    return /^[A-Za-z_$][\w$]*$/.test(identifier);
+  });
+}
+
+/**
+ * Evaluates the key path against `value`, returning the value it points to.
+ *
+ * @param {*} value
+ * @param {string|!Array<string>} keyPath
+ * @return {*} The value at `keyPath`, or `undefined` if it does not exist.
+ */
+export function evaluateKeyPath(value, keyPath) {
+  if (Array.isArray(keyPath)) {
+    const values = [];
+    for (let i = 0; i < keyPath.length; i++) {
+      const result = evaluateKeyPath(value, keyPath[i]);
+      if (result === undefined) {
+        return undefined;
+      }
+      values.push(result);
+    }
+    return values;
+  }
+
+  if (keyPath === '') {
+    return value;
+  }
+
+  const identifiers = keyPath.split('.');
+  for (let i = 0; i < identifiers.length; i++) {
+    const identifier = identifiers[i];
+    if (typeof value !== 'string' && value !== Object(value)) {
+      return undefined;
+    }
+    if (typeof value === 'string' && identifier !== 'length') {
+      return undefined;
+    }
+    if (!(identifier in Object(value))) {
+      return undefined;
+    }
+    value = value[identifier];
+  }
+  return value;
+}
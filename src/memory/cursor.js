@@ -0,0 +1,391 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { clone, compareKeys, extractKey, toKey } from './keys';
+import { rangeIncludes } from './key-range';
+import { search } from './storage';
+import { MemoryRequest } from './transaction';
+
+/**
+ * @const {!Array<string>}
+ */
+const DIRECTIONS = ['next', 'nextunique', 'prev', 'prevunique'];
+
+/**
+ * Validates a cursor direction.
+ *
+ * @param {string} direction
+ * @return {string}
+ * @throws {TypeError} If it is not a valid direction.
+ */
+export function toDirection(direction) {
+  if (DIRECTIONS.indexOf(direction) === -1) {
+    throw new TypeError(`"${direction}" is not a valid cursor direction.`);
+  }
+  return direction;
+}
+
+/**
+ * An in-memory IDBCursor, iterating the records of an objectStore or index.
+ */
+export class MemoryCursor {
+  /**
+   * @param {!MemoryObjectStore|!MemoryIndex} source
+   * @param {!MemoryRequest} request The request that opened the cursor, which
+   *     is reused every time the cursor advances.
+   * @param {string} direction
+   * @param {?KeyRange} range
+   * @param {boolean} keyOnly Whether the cursor omits the record's value.
+   */
+  constructor(source, request, direction, range, keyOnly) {
+    /** @const */
+    this.source = source;
+
+    /** @const {!MemoryRequest} */
+    this.request = request;
+
+    /** @const {string} */
+    this.direction = direction;
+
+    /** @const {?KeyRange} */
+    this._range = range;
+
+    /** @const {boolean} */
+    this._keyOnly = keyOnly;
+
+    /** @const {boolean} */
+    this._isIndex = !!source.objectStore;
+
+    /** @type {*} */
+    this.key = undefined;
+
+    /** @type {*} */
+    this.primaryKey = undefined;
+
+    /**
+     * The cursor's position, which is kept apart from `key` and `primaryKey`
+     * so that they may be freely mutated.
+     *
+     * @type {?{key: *, primaryKey: *}}
+     */
+    this._position = null;
+
+    /**
+     * Whether the cursor is positioned on a record, and has not yet been
+     * asked to advance.
+     *
+     * @type {boolean}
+     */
+    this._gotValue = false;
+  }
+
+  /**
+   * @return {!MemoryTransaction}
+   */
+  get _transaction() {
+    return this.request.transaction;
+  }
+
+  /**
+   * Advances the cursor `count` records.
+   *
+   * @param {number} count
+   * @throws {TypeError} If `count` is not a positive integer.
+   */
+  advance(count) {
+    if (!(count >= 1 && Math.floor(count) === count)) {
+      throw new TypeError('The count must be a positive integer.');
+    }
+    this._assertIterable();
+    this._continue(() => this._advance(count));
+  }
+
+  /**
+   * Advances the cursor to the next record, or to the next record whose key
+   * is at or past `key`.
+   *
+   * @param {*=} key
+   * @throws {Error} A `DataError` if `key` is not past the cursor's position.
+   */
+  continue(key = undefined) {
+    this._assertIterable();
+    if (key !== undefined) {
+      key = toKey(key);
+      const order = compareKeys(key, this._position.key);
+      if (this._forward() ? order <= 0 : order >= 0) {
+        throw createError('DataError', 'The key is not past the cursor\'s position.');
+      }
+    }
+    this._continue(() => this._advance(1, key));
+  }
+
+  /**
+   * Advances an index cursor to the next record whose key and primary key
+   * are at or past `key` and `primaryKey`.
+   *
+   * @param {*} key
+   * @param {*} primaryKey
+   * @throws {Error} An `InvalidAccessError` if the cursor is not iterating an
+   *     index in a non-unique direction, or a `DataError` if the keys are not
+   *     past the cursor's position.
+   */
+  continuePrimaryKey(key, primaryKey) {
+    this._assertIterable();
+    if (!this._isIndex || /unique$/.test(this.direction)) {
+      throw createError(
+        'InvalidAccessError',
+        'Only index cursors iterating every record may continue to a primary key.'
+      );
+    }
+    key = toKey(key);
+    primaryKey = toKey(primaryKey);
+    const order = compareKeys(key, this._position.key) ||
+      compareKeys(primaryKey, this._position.primaryKey);
+    if (this._forward() ? order <= 0 : order >= 0) {
+      throw createError('DataError', 'The keys are not past the cursor\'s position.');
+    }
+    this._continue(() => this._advance(1, key, primaryKey));
+  }
+
+  /**
+   * Replaces the record at the cursor's position.
+   *
+   * @param {*} value
+   * @return {!MemoryRequest} A request that resolves to the record's key.
+   */
+  update(value) {
+    const transaction = this._transaction;
+    transaction._assertActive(true);
+    this._assertPositioned();
+
+    const store = this._storeData();
+    const { primaryKey } = this._position;
+    const cloned = clone(value);
+    if (store.keyPath !== null) {
+      const key = extractKey(cloned, store.keyPath);
+      if (key === undefined || compareKeys(key, primaryKey) !== 0) {
+        throw createError('DataError', 'The record\'s key may not change.');
+      }
+    }
+
+    return transaction._request(new MemoryRequest(this, transaction), () => {
+      transaction._modify(store);
+      store.store(cloned, primaryKey, false);
+      return primaryKey;
+    });
+  }
+
+  /**
+   * Deletes the record at the cursor's position.
+   *
+   * @return {!MemoryRequest}
+   */
+  delete() {
+    const transaction = this._transaction;
+    transaction._assertActive(true);
+    this._assertPositioned();
+
+    const store = this._storeData();
+    const { primaryKey } = this._position;
+    return transaction._request(new MemoryRequest(this, transaction), () => {
+      const record = store.find(primaryKey);
+      if (record) {
+        transaction._modify(store);
+        store.remove(record);
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * Moves the cursor to the first record. Called when the cursor is opened.
+   *
+   * @return {?MemoryCursor} The cursor, or `null` if there are no records.
+   */
+  _open() {
+    return this._advance(1);
+  }
+
+  /**
+   * @return {!StoreData}
+   */
+  _storeData() {
+    return this._isIndex ? this.source.objectStore._data : this.source._data;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  _forward() {
+    return this.direction === 'next' || this.direction === 'nextunique';
+  }
+
+  /**
+   * @throws {Error} If the cursor may not be advanced.
+   */
+  _assertIterable() {
+    this._transaction._assertActive();
+    this.source._assertExists();
+    if (!this._gotValue) {
+      throw createError('InvalidStateError', 'The cursor is already advancing.');
+    }
+  }
+
+  /**
+   * @throws {Error} If the cursor's record may not be modified.
+   */
+  _assertPositioned() {
+    this.source._assertExists();
+    if (!this._gotValue || this._keyOnly) {
+      throw createError('InvalidStateError', 'The cursor is not positioned on a record.');
+    }
+  }
+
+  /**
+   * Places the cursor's request against the transaction again.
+   *
+   * @param {function():?MemoryCursor} operation
+   */
+  _continue(operation) {
+    this._gotValue = false;
+    this._transaction._request(this.request, operation);
+  }
+
+  /**
+   * Moves the cursor `count` records, the first of which is at or past `key`
+   * and `primaryKey`.
+   *
+   * @param {number} count
+   * @param {*=} key
+   * @param {*=} primaryKey
+   * @return {?MemoryCursor} The cursor, or `null` if it ran out of records.
+   */
+  _advance(count, key = undefined, primaryKey = undefined) {
+    let record = null;
+    for (let i = 0; i < count; i++) {
+      record = i === 0 ? this._find(key, primaryKey) : this._find();
+      if (!record) {
+        break;
+      }
+      this._position = {
+        key: record.key,
+        primaryKey: this._isIndex ? record.primaryKey : record.key,
+      };
+    }
+
+    if (!record) {
+      this.key = undefined;
+      this.primaryKey = undefined;
+      if (!this._keyOnly) {
+        this.value = undefined;
+      }
+      return null;
+    }
+
+    this.key = clone(this._position.key);
+    this.primaryKey = clone(this._position.primaryKey);
+    if (!this._keyOnly) {
+      const stored = this._isIndex ? this._storeData().find(record.primaryKey) : record;
+      this.value = clone(stored.value);
+    }
+    this._gotValue = true;
+    return this;
+  }
+
+  /**
+   * Finds the next record in the cursor's direction.
+   *
+   * @param {*=} key The key the record must be at or past.
+   * @param {*=} primaryKey The primary key the record must be at or past,
+   *     when its key equals `key`.
+   * @return {?{key: *}}
+   */
+  _find(key = undefined, primaryKey = undefined) {
+    const index = this._isIndex ? this.source._data : null;
+    const records = index ? index.records : this.source._data.records;
+    const range = this._range;
+    const position = this._position;
+    const unique = /unique$/.test(this.direction);
+    const byPrimaryKey = index && !unique;
+
+    if (this._forward()) {
+      let i = 0;
+      if (position) {
+        i = byPrimaryKey ?
+          index.position(position.key, position.primaryKey, true) :
+          search(records, position.key, true);
+      }
+      if (key !== undefined) {
+        i = Math.max(i, primaryKey === undefined ?
+          search(records, key) :
+          index.position(key, primaryKey, false));
+      }
+      if (range && range.lower !== undefined) {
+        i = Math.max(i, search(records, range.lower, range.lowerOpen));
+      }
+
+      const record = records[i];
+      if (!record || (range && !rangeIncludes(range, record.key))) {
+        return null;
+      }
+      return record;
+    }
+
+    let i = records.length - 1;
+    if (position) {
+      i = Math.min(i, (byPrimaryKey ?
+        index.position(position.key, position.primaryKey, false) :
+        search(records, position.key)) - 1);
+    }
+    if (key !== undefined) {
+      i = Math.min(i, (primaryKey === undefined ?
+        search(records, key, true) :
+        index.position(key, primaryKey, true)) - 1);
+    }
+    if (range && range.upper !== undefined) {
+      i = Math.min(i, search(records, range.upper, !range.upperOpen) - 1);
+    }
+
+    let record = records[i];
+    if (i < 0 || (range && !rangeIncludes(range, record.key))) {
+      return null;
+    }
+    if (unique) {
+      // Iterating backwards still yields the first of the duplicate keys.
+      record = records[search(records, record.key)];
+    }
+    return record;
+  }
+}
+
+/**
+ * An in-memory IDBCursorWithValue.
+ */
+export class MemoryCursorWithValue extends MemoryCursor {
+  /**
+   * @param {!MemoryObjectStore|!MemoryIndex} source
+   * @param {!MemoryRequest} request
+   * @param {string} direction
+   * @param {?KeyRange} range
+   */
+  constructor(source, request, direction, range) {
+    super(source, request, direction, range, false);
+
+    /** @type {*} */
+    this.value = undefined;
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { clone } from './keys';
+import { isKeyPath } from '../key-path';
+import { StoreData } from './storage';
+import { EventTarget, stringList } from './events';
+import { MemoryTransaction } from './transaction';
+import { MemoryObjectStore } from './object-store';
+
+/**
+ * @const {!Array<string>}
+ */
+const MODES = ['readonly', 'readwrite'];
+
+/**
+ * An in-memory IDBDatabase, a connection to a database.
+ */
+export default class MemoryDatabase extends EventTarget {
+  /**
+   * @param {!DatabaseData} data
+   */
+  constructor(data) {
+    super();
+
+    /** @const {!DatabaseData} */
+    this._data = data;
+
+    /** @const {string} */
+    this.name = data.name;
+
+    /** @type {number} */
+    this.version = data.version;
+
+    /** @type {?function(!Event)} */
+    this.onabort = null;
+
+    /** @type {?function(!Event)} */
+    this.onclose = null;
+
+    /** @type {?function(!Event)} */
+    this.onerror = null;
+
+    /** @type {?function(!Event)} */
+    this.onversionchange = null;
+
+    /**
+     * The unfinished transactions created by this connection.
+     *
+     * @const {!Array<!MemoryTransaction>}
+     */
+    this._transactions = [];
+
+    /**
+     * Whether `close` has been called. The connection is only closed once
+     * its transactions finish.
+     *
+     * @type {boolean}
+     */
+    this._closePending = false;
+
+    /**
+     * Checks whether the closing connection has closed, whenever a
+     * transaction finishes.
+     *
+     * @const {function()}
+     */
+    this._closeListener = () => this._maybeClose();
+
+    data.connections.push(this);
+  }
+
+  /**
+   * @return {!Array<string>}
+   */
+  get objectStoreNames() {
+    return stringList(Object.keys(this._data.stores));
+  }
+
+  /**
+   * Closes the connection once its transactions finish.
+   */
+  close() {
+    if (this._closePending) {
+      return;
+    }
+    this._closePending = true;
+    this._data.listeners.push(this._closeListener);
+    this._maybeClose();
+  }
+
+  /**
+   * Creates a transaction over the `scope` objectStores.
+   *
+   * @param {string|!Array<string>} scope
+   * @param {string=} mode
+   * @param {{durability: (string|undefined)}=} options
+   * @return {!MemoryTransaction}
+   */
+  transaction(scope, mode = 'readonly', { durability = 'default' } = {}) {
+    if (this._closePending) {
+      throw createError('InvalidStateError', 'The connection is closing.');
+    }
+    if (this._upgrade()) {
+      throw createError('InvalidStateError', 'An upgrade is running.');
+    }
+
+    const names = (Array.isArray(scope) ? scope : [scope]).map(String)
+      .filter((name, i, all) => all.indexOf(name) === i);
+    names.forEach((name) => {
+      if (!this._data.stores[name]) {
+        throw createError('NotFoundError', `No objectStore named "${name}".`);
+      }
+    });
+    if (!names.length) {
+      throw createError('InvalidAccessError', 'The scope may not be empty.');
+    }
+    if (MODES.indexOf(mode) === -1) {
+      throw new TypeError(`"${mode}" is not a valid transaction mode.`);
+    }
+
+    return new MemoryTransaction(this, names, mode, durability);
+  }
+
+  /**
+   * Creates an objectStore. Note that this may only be done during an
+   * upgrade.
+   *
+   * @param {string} name
+   * @param {{keyPath: *, autoIncrement: (boolean|undefined)}=} params
+   * @return {!MemoryObjectStore}
+   */
+  createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+    const transaction = this._assertUpgrading();
+    name = String(name);
+    if (keyPath !== null && !isKeyPath(keyPath)) {
+      throw createError('SyntaxError', 'The keyPath is not a valid key path.');
+    }
+    if (this._data.stores[name]) {
+      throw createError('ConstraintError', `An objectStore named "${name}" already exists.`);
+    }
+    if (autoIncrement && (keyPath === '' || Array.isArray(keyPath))) {
+      throw createError(
+        'InvalidAccessError',
+        'An autoIncrement objectStore may not have an empty or array keyPath.'
+      );
+    }
+
+    const data = new StoreData(name, clone(keyPath), !!autoIncrement);
+    this._data.stores[name] = data;
+    return this._storeHandle(transaction, data);
+  }
+
+  /**
+   * Deletes the objectStore `name`. Note that this may only be done during
+   * an upgrade.
+   *
+   * @param {string} name
+   */
+  deleteObjectStore(name) {
+    this._assertUpgrading();
+    if (!this._data.stores[name]) {
+      throw createError('NotFoundError', `No objectStore named "${name}".`);
+    }
+    delete this._data.stores[name];
+  }
+
+  /**
+   * Creates a handle to an objectStore for the `transaction`.
+   *
+   * @param {!MemoryTransaction} transaction
+   * @param {!StoreData} data
+   * @return {!MemoryObjectStore}
+   */
+  _storeHandle(transaction, data) {
+    return new MemoryObjectStore(transaction, data);
+  }
+
+  /**
+   * @return {?MemoryTransaction} The running versionchange transaction.
+   */
+  _upgrade() {
+    return this._transactions.find((transaction) => {
+      return transaction.mode === 'versionchange' && !transaction._finished;
+    }) || null;
+  }
+
+  /**
+   * @return {!MemoryTransaction}
+   * @throws {Error} If the schema may not be changed.
+   */
+  _assertUpgrading() {
+    const transaction = this._upgrade();
+    if (!transaction) {
+      throw createError('InvalidStateError', 'The schema may only change during an upgrade.');
+    }
+    transaction._assertActive();
+    return transaction;
+  }
+
+  /**
+   * Whether the connection is closed, having no unfinished transactions.
+   *
+   * @return {boolean}
+   */
+  _closed() {
+    return this._closePending && this._transactions.length === 0;
+  }
+
+  /**
+   * Removes the connection from the database once it is closed.
+   */
+  _maybeClose() {
+    const { connections, listeners } = this._data;
+    const i = connections.indexOf(this);
+    if (i === -1 || !this._closed()) {
+      return;
+    }
+    connections.splice(i, 1);
+    listeners.splice(listeners.indexOf(this._closeListener), 1);
+    this._data.notify();
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Schedules `callback` to run in a later task, after every pending microtask.
+ *
+ * @param {function()} callback
+ */
+export function schedule(callback) {
+  if (typeof setImmediate === 'function') {
+    setImmediate(callback);
+  } else {
+    setTimeout(callback, 0);
+  }
+}
+
+/**
+ * A minimal implementation of DOM's Event.
+ */
+export class Event {
+  /**
+   * @param {string} type
+   * @param {!Object=} init Extra properties for the event, such as `bubbles`,
+   *     `cancelable`, `oldVersion` and `newVersion`.
+   */
+  constructor(type, init = {}) {
+    /** @const {string} */
+    this.type = type;
+
+    /** @const {boolean} */
+    this.bubbles = !!init.bubbles;
+
+    /** @const {boolean} */
+    this.cancelable = !!init.cancelable;
+
+    /** @type {?EventTarget} */
+    this.target = null;
+
+    /** @type {?EventTarget} */
+    this.currentTarget = null;
+
+    /** @type {boolean} */
+    this.defaultPrevented = false;
+
+    /** @type {boolean} */
+    this._stopped = false;
+
+    /** @type {boolean} */
+    this._stoppedImmediately = false;
+
+    Object.keys(init).forEach((key) => {
+      if (key !== 'bubbles' && key !== 'cancelable') {
+        this[key] = init[key];
+      }
+    });
+  }
+
+  preventDefault() {
+    if (this.cancelable) {
+      this.defaultPrevented = true;
+    }
+  }
+
+  stopPropagation() {
+    this._stopped = true;
+  }
+
+  stopImmediatePropagation() {
+    this._stopped = true;
+    this._stoppedImmediately = true;
+  }
+}
+
+/**
+ * A minimal implementation of DOM's EventTarget, supporting both
+ * `addEventListener` and `on<type>` handler properties.
+ */
+export class EventTarget {
+  constructor() {
+    /**
+     * @const {!Array<{type: string, listener: function(!Event)}>}
+     */
+    this._listeners = [];
+  }
+
+  /**
+   * @param {string} type
+   * @param {function(!Event)} listener
+   */
+  addEventListener(type, listener) {
+    if (!listener) {
+      return;
+    }
+    const exists = this._listeners.some((entry) => {
+      return entry.type === type && entry.listener === listener;
+    });
+    if (!exists) {
+      this._listeners.push({ type, listener });
+    }
+  }
+
+  /**
+   * @param {string} type
+   * @param {function(!Event)} listener
+   */
+  removeEventListener(type, listener) {
+    const index = this._listeners.findIndex((entry) => {
+      return entry.type === type && entry.listener === listener;
+    });
+    if (index > -1) {
+      this._listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * The parent to bubble events to.
+   *
+   * @return {?EventTarget}
+   */
+  _parent() {
+    return null;
+  }
+
+  /**
+   * Dispatches `event`, bubbling it to the parents if it bubbles.
+   *
+   * @param {!Event} event
+   * @return {boolean} Whether a listener threw. Note that this differs from
+   *     DOM's `dispatchEvent`.
+   */
+  dispatchEvent(event) {
+    const path = [this];
+    if (event.bubbles) {
+      for (let parent = this._parent(); parent; parent = parent._parent()) {
+        path.push(parent);
+      }
+    }
+
+    let threw = false;
+    event.target = this;
+    for (let i = 0; i < path.length && !event._stopped; i++) {
+      threw = path[i]._invoke(event) || threw;
+    }
+    event.currentTarget = null;
+    return threw;
+  }
+
+  /**
+   * Invokes every listener on this target for `event`.
+   *
+   * @param {!Event} event
+   * @return {boolean} Whether a listener threw.
+   */
+  _invoke(event) {
+    const listeners = this._listeners.filter((entry) => {
+      return entry.type === event.type;
+    }).map((entry) => entry.listener);
+    const handler = this[`on${event.type}`];
+    if (typeof handler === 'function') {
+      listeners.push(handler);
+    }
+
+    let threw = false;
+    event.currentTarget = this;
+    for (let i = 0; i < listeners.length && !event._stoppedImmediately; i++) {
+      try {
+        listeners[i].call(this, event);
+      } catch (error) {
+        // The platform reports the error without interrupting the dispatch.
+        // Callers decide what a throwing listener means, such as aborting
+        // the transaction.
+        threw = true;
+      }
+    }
+    return threw;
+  }
+}
+
+/**
+ * Creates a DOMStringList-like array of the sorted `names`.
+ *
+ * @param {!Array<string>} names
+ * @return {!Array<string>}
+ */
+export function stringList(names) {
+  const list = names.slice().sort();
+  Object.defineProperty(list, 'item', {
+    value(index) {
+      return index < list.length ? list[index] : null;
+    },
+  });
+  Object.defineProperty(list, 'contains', {
+    value(name) {
+      return list.indexOf(name) > -1;
+    },
+  });
+  return list;
+}
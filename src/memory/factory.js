@@ -0,0 +1,289 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { cmp } from './keys';
+import { DatabaseData } from './storage';
+import { Event, schedule } from './events';
+import { MemoryRequest, MemoryTransaction } from './transaction';
+import MemoryDatabase from './database';
+
+/**
+ * An in-memory IDBOpenDBRequest.
+ */
+export class MemoryOpenRequest extends MemoryRequest {
+  constructor() {
+    super(null, null);
+
+    /** @type {?function(!Event)} */
+    this.onblocked = null;
+
+    /** @type {?function(!Event)} */
+    this.onupgradeneeded = null;
+  }
+}
+
+/**
+ * Finishes an open or delete request, dispatching `success` or `error`.
+ *
+ * @param {!MemoryOpenRequest} request
+ * @param {?Error} error
+ * @param {*} result
+ * @param {!Object=} init Extra properties for the `success` event.
+ */
+function finish(request, error, result, init = {}) {
+  request.readyState = 'done';
+  request._error = error;
+  request._result = error ? undefined : result;
+  if (error) {
+    request.dispatchEvent(new Event('error', { bubbles: true, cancelable: true }));
+  } else {
+    request.dispatchEvent(new Event('success', init));
+  }
+}
+
+/**
+ * An in-memory IDBFactory. Every factory holds its own set of databases.
+ */
+export default class MemoryFactory {
+  constructor() {
+    /**
+     * The stored databases, keyed by name.
+     *
+     * @type {!Object<string, !DatabaseData>}
+     */
+    this._databases = Object.create(null);
+
+    /**
+     * The open and delete operations waiting on each database, keyed by
+     * name. They run one at a time, in order.
+     *
+     * @const {!Object<string, !Array<function(function())>>}
+     */
+    this._queues = Object.create(null);
+  }
+
+  /**
+   * Opens a connection to the database `name`, upgrading it to `version`.
+   *
+   * @param {string} name
+   * @param {number=} version
+   * @return {!MemoryOpenRequest}
+   * @throws {TypeError} If `version` is not a positive integer.
+   */
+  open(name, version = undefined) {
+    if (version !== undefined) {
+      if (!(version >= 1 && version <= Number.MAX_SAFE_INTEGER)) {
+        throw new TypeError(`"${version}" is not a valid version.`);
+      }
+      version = Math.floor(version);
+    }
+
+    name = String(name);
+    const request = new MemoryOpenRequest();
+    this._enqueue(name, (done) => this._open(name, version, request, done));
+    return request;
+  }
+
+  /**
+   * Deletes the database `name`.
+   *
+   * @param {string} name
+   * @return {!MemoryOpenRequest}
+   */
+  deleteDatabase(name) {
+    name = String(name);
+    const request = new MemoryOpenRequest();
+    this._enqueue(name, (done) => this._delete(name, request, done));
+    return request;
+  }
+
+  /**
+   * Compares two keys.
+   *
+   * @param {*} a
+   * @param {*} b
+   * @return {number}
+   */
+  cmp(a, b) {
+    return cmp(a, b);
+  }
+
+  /**
+   * Lists the name and version of every database.
+   *
+   * @return {!Promise<!Array<{name: string, version: number}>>}
+   */
+  databases() {
+    return Promise.resolve(Object.keys(this._databases).map((name) => {
+      return { name, version: this._databases[name].version };
+    }));
+  }
+
+  /**
+   * Queues an operation on the database `name`, which must call its `done`
+   * argument once finished.
+   *
+   * @param {string} name
+   * @param {function(function())} operation
+   */
+  _enqueue(name, operation) {
+    const queue = this._queues[name] || (this._queues[name] = []);
+    queue.push(operation);
+    if (queue.length === 1) {
+      schedule(() => this._next(name));
+    }
+  }
+
+  /**
+   * Runs the next operation on the database `name`.
+   *
+   * @param {string} name
+   */
+  _next(name) {
+    const queue = this._queues[name];
+    queue[0](() => {
+      queue.shift();
+      if (queue.length) {
+        schedule(() => this._next(name));
+      } else {
+        delete this._queues[name];
+      }
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {number|undefined} version
+   * @param {!MemoryOpenRequest} request
+   * @param {function()} done
+   */
+  _open(name, version, request, done) {
+    const created = !this._databases[name];
+    const data = this._databases[name] || new DatabaseData(name);
+    if (version === undefined) {
+      version = data.version || 1;
+    }
+
+    if (data.version > version) {
+      finish(request, createError(
+        'VersionError',
+        `The database "${name}" is already at version ${data.version}.`
+      ));
+      done();
+      return;
+    }
+
+    if (data.version === version) {
+      finish(request, null, new MemoryDatabase(data));
+      done();
+      return;
+    }
+
+    this._databases[name] = data;
+    this._whenClosed(data, request, version, () => {
+      const oldVersion = data.version;
+      const connection = new MemoryDatabase(data);
+      const transaction = new MemoryTransaction(connection, [], 'versionchange');
+      data.version = version;
+      connection.version = version;
+
+      transaction.addEventListener('complete', () => {
+        request.transaction = null;
+        if (connection._closePending) {
+          finish(request, createError('AbortError', 'The connection closed during the upgrade.'));
+        } else {
+          finish(request, null, connection);
+        }
+        done();
+      });
+      transaction.addEventListener('abort', () => {
+        request.transaction = null;
+        connection.version = oldVersion;
+        connection.close();
+        if (created) {
+          delete this._databases[name];
+        }
+        finish(request, createError('AbortError', 'The upgrade was aborted.'));
+        done();
+      });
+
+      request.readyState = 'done';
+      request._result = connection;
+      request.transaction = transaction;
+      const threw = request.dispatchEvent(new Event('upgradeneeded', {
+        oldVersion,
+        newVersion: version,
+      }));
+      transaction._active = false;
+      if (threw && !transaction._finished) {
+        transaction._abort(createError('AbortError', 'An upgradeneeded handler threw.'));
+      }
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {!MemoryOpenRequest} request
+   * @param {function()} done
+   */
+  _delete(name, request, done) {
+    const data = this._databases[name];
+    if (!data) {
+      finish(request, null, undefined, { oldVersion: 0, newVersion: null });
+      done();
+      return;
+    }
+
+    this._whenClosed(data, request, null, () => {
+      delete this._databases[name];
+      finish(request, null, undefined, { oldVersion: data.version, newVersion: null });
+      done();
+    });
+  }
+
+  /**
+   * Asks every other connection to close, firing `blocked` at the request if
+   * any remain open, then calls `callback` once they have all closed.
+   *
+   * @param {!DatabaseData} data
+   * @param {!MemoryOpenRequest} request
+   * @param {?number} newVersion
+   * @param {function()} callback
+   */
+  _whenClosed(data, request, newVersion, callback) {
+    const oldVersion = data.version;
+    data.connections.slice().forEach((connection) => {
+      if (!connection._closePending) {
+        connection.dispatchEvent(new Event('versionchange', { oldVersion, newVersion }));
+      }
+    });
+
+    if (!data.connections.length) {
+      callback();
+      return;
+    }
+
+    const listener = () => {
+      if (!data.connections.length) {
+        data.listeners.splice(data.listeners.indexOf(listener), 1);
+        callback();
+      }
+    };
+    data.listeners.push(listener);
+    request.dispatchEvent(new Event('blocked', { oldVersion, newVersion }));
+  }
+}
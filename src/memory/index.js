@@ -0,0 +1,165 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { clone } from './keys';
+import { DatabaseData, IndexData, StoreData } from './storage';
+import KeyRange from './key-range';
+import MemoryFactory from './factory';
+
+/**
+ * The state of every database in a memory backend, made only of plain
+ * objects, arrays and stored values.
+ *
+ * @typedef {!Object<string, {
+ *   version: number,
+ *   stores: !Object<string, {
+ *     keyPath: *,
+ *     autoIncrement: boolean,
+ *     generator: number,
+ *     records: !Array<{key: *, value: *}>,
+ *     indexes: !Object<string, {keyPath: *, unique: boolean, multiEntry: boolean}>,
+ *   }>,
+ * }>}
+ */
+let Snapshot;
+
+/**
+ * An in-memory IndexedDB, to be passed to `createIndexedDBP`.
+ *
+ * @typedef {{
+ *   indexedDB: !MemoryFactory,
+ *   IDBKeyRange: !Function,
+ *   snapshot: function():!Snapshot,
+ *   restore: function(!Snapshot),
+ * }}
+ */
+let MemoryBackend;
+
+/**
+ * Captures the state of a stored database.
+ *
+ * @param {!DatabaseData} data
+ * @return {!Object}
+ */
+function snapshotDatabase(data) {
+  const stores = {};
+  Object.keys(data.stores).forEach((name) => {
+    const store = data.stores[name];
+    const indexes = {};
+    Object.keys(store.indexes).forEach((indexName) => {
+      const { keyPath, unique, multiEntry } = store.indexes[indexName];
+      indexes[indexName] = { keyPath: clone(keyPath), unique, multiEntry };
+    });
+
+    stores[name] = {
+      keyPath: clone(store.keyPath),
+      autoIncrement: store.autoIncrement,
+      generator: store.generator,
+      records: store.records.map(({ key, value }) => clone({ key, value })),
+      indexes,
+    };
+  });
+
+  return { version: data.version, stores };
+}
+
+/**
+ * Rebuilds a stored database from its snapshot.
+ *
+ * @param {string} name
+ * @param {!Object} snapshot
+ * @return {!DatabaseData}
+ */
+function restoreDatabase(name, { version, stores }) {
+  const data = new DatabaseData(name);
+  data.version = version;
+  Object.keys(stores).forEach((storeName) => {
+    const { keyPath, autoIncrement, generator, records, indexes } = stores[storeName];
+    const store = new StoreData(storeName, clone(keyPath), autoIncrement);
+    store.generator = generator;
+    store.records = records.map(({ key, value }) => clone({ key, value }));
+    Object.keys(indexes).forEach((indexName) => {
+      const { keyPath: indexKeyPath, unique, multiEntry } = indexes[indexName];
+      store.createIndex(new IndexData(indexName, clone(indexKeyPath), unique, multiEntry));
+    });
+    data.stores[storeName] = store;
+  });
+  return data;
+}
+
+/**
+ * Creates an in-memory IndexedDB backend, which implements transactions,
+ * key generators, indexes (including unique and multiEntry), key ranges and
+ * cursors without any globals. Pass it to `createIndexedDBP` to use it with
+ * the usual wrappers, eg. in tests or during server-side rendering. It is
+ * not part of the main entry, so that browser bundles don't include it:
+ * import it from `indexed-db-as-promised/src/memory` instead.
+ *
+ * Every backend holds its own databases. Their state may be captured with
+ * `snapshot` and later put back with `restore`, which requires every
+ * connection to be closed.
+ *
+ * @return {!MemoryBackend}
+ */
+export default function createMemoryBackend() {
+  const factory = new MemoryFactory();
+
+  return {
+    indexedDB: factory,
+
+    IDBKeyRange: KeyRange,
+
+    /**
+     * Captures the state of every database.
+     *
+     * @return {!Snapshot}
+     */
+    snapshot() {
+      const snapshot = {};
+      Object.keys(factory._databases).forEach((name) => {
+        snapshot[name] = snapshotDatabase(factory._databases[name]);
+      });
+      return snapshot;
+    },
+
+    /**
+     * Replaces every database with the state captured by `snapshot`.
+     *
+     * @param {!Snapshot} snapshot
+     * @throws {Error} An `InvalidStateError` if a connection is open, or a
+     *     database is being opened or deleted.
+     */
+    restore(snapshot) {
+      const busy = Object.keys(factory._queues).length > 0 ||
+        Object.keys(factory._databases).some((name) => {
+          return factory._databases[name].connections.length > 0;
+        });
+      if (busy) {
+        throw createError(
+          'InvalidStateError',
+          'Every connection must be closed before restoring a snapshot.'
+        );
+      }
+
+      const databases = Object.create(null);
+      Object.keys(snapshot).forEach((name) => {
+        databases[name] = restoreDatabase(name, snapshot[name]);
+      });
+      factory._databases = databases;
+    },
+  };
+}
@@ -0,0 +1,165 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { compareKeys, isKey, isObject, toKey } from './keys';
+
+/**
+ * An in-memory implementation of IDBKeyRange, a continuous interval over
+ * keys.
+ */
+export default class KeyRange {
+  /**
+   * @param {*} lower
+   * @param {*} upper
+   * @param {boolean} lowerOpen
+   * @param {boolean} upperOpen
+   */
+  constructor(lower, upper, lowerOpen, upperOpen) {
+    /** @const */
+    this.lower = lower;
+
+    /** @const */
+    this.upper = upper;
+
+    /** @const {boolean} */
+    this.lowerOpen = lowerOpen;
+
+    /** @const {boolean} */
+    this.upperOpen = upperOpen;
+  }
+
+  /**
+   * Whether `key` is inside the range.
+   *
+   * @param {*} key
+   * @return {boolean}
+   */
+  includes(key) {
+    return rangeIncludes(this, toKey(key));
+  }
+
+  /**
+   * Creates a range containing only `value`.
+   *
+   * @param {*} value
+   * @return {!KeyRange}
+   */
+  static only(value) {
+    const key = toKey(value);
+    return new KeyRange(key, key, false, false);
+  }
+
+  /**
+   * Creates a range with only a lower bound.
+   *
+   * @param {*} lower
+   * @param {boolean=} open Whether to exclude `lower`.
+   * @return {!KeyRange}
+   */
+  static lowerBound(lower, open = false) {
+    return new KeyRange(toKey(lower), undefined, !!open, true);
+  }
+
+  /**
+   * Creates a range with only an upper bound.
+   *
+   * @param {*} upper
+   * @param {boolean=} open Whether to exclude `upper`.
+   * @return {!KeyRange}
+   */
+  static upperBound(upper, open = false) {
+    return new KeyRange(undefined, toKey(upper), true, !!open);
+  }
+
+  /**
+   * Creates a range with both a lower and an upper bound.
+   *
+   * @param {*} lower
+   * @param {*} upper
+   * @param {boolean=} lowerOpen Whether to exclude `lower`.
+   * @param {boolean=} upperOpen Whether to exclude `upper`.
+   * @return {!KeyRange}
+   */
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    lower = toKey(lower);
+    upper = toKey(upper);
+
+    const order = compareKeys(lower, upper);
+    if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) {
+      throw createError('DataError', 'The lower bound is above the upper bound.');
+    }
+
+    return new KeyRange(lower, upper, !!lowerOpen, !!upperOpen);
+  }
+}
+
+/**
+ * Whether the (valid) `key` is inside the `range`. The range may be any
+ * IDBKeyRange-like object.
+ *
+ * @param {!KeyRange} range
+ * @param {*} key
+ * @return {boolean}
+ */
+export function rangeIncludes(range, key) {
+  if (range.lower !== undefined) {
+    const order = compareKeys(range.lower, key);
+    if (order > 0 || (order === 0 && range.lowerOpen)) {
+      return false;
+    }
+  }
+  if (range.upper !== undefined) {
+    const order = compareKeys(range.upper, key);
+    if (order < 0 || (order === 0 && range.upperOpen)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Converts a query, which is either a key or an IDBKeyRange-like object, into
+ * a range.
+ *
+ * @param {*} query
+ * @param {boolean=} nullable Whether a missing query matches every key.
+ * @return {?KeyRange} The range, or `null` if the query matches every key.
+ * @throws {Error} A `DataError` if the query is neither a key nor a range.
+ */
+export function toRange(query, nullable = true) {
+  if (query == null) {
+    if (!nullable) {
+      throw createError('DataError', 'No key or key range specified.');
+    }
+    return null;
+  }
+
+  if (isKey(query)) {
+    return KeyRange.only(query);
+  }
+
+  if (isObject(query) && 'lowerOpen' in query && 'upperOpen' in query) {
+    return new KeyRange(
+      query.lower === undefined ? undefined : toKey(query.lower),
+      query.upper === undefined ? undefined : toKey(query.upper),
+      !!query.lowerOpen,
+      !!query.upperOpen
+    );
+  }
+
+  throw createError('DataError', 'The parameter is not a valid key or key range.');
+}
@@ -0,0 +1,403 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { evaluateKeyPath } from '../key-path';
+
+/**
+ * The ordering of the different types of keys, as defined by the IndexedDB
+ * specification. Keys of a higher type always sort after keys of a lower type.
+ *
+ * @enum {number}
+ */
+const KeyType = {
+  NUMBER: 1,
+  DATE: 2,
+  STRING: 3,
+  BINARY: 4,
+  ARRAY: 5,
+};
+
+/**
+ * Whether `value` is an object or function, rather than a primitive. Note
+ * that comparing `typeof` to `'object'` would require an extra Babel helper.
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+export function isObject(value) {
+  return value === Object(value);
+}
+
+/**
+ * Whether `value` is an ArrayBuffer or a view onto one.
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+/**
+ * Returns the bytes of a binary key.
+ *
+ * @param {!ArrayBuffer|!ArrayBufferView} value
+ * @return {!Uint8Array}
+ */
+function bytes(value) {
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+}
+
+/**
+ * Returns the type of a valid key.
+ *
+ * @param {*} key
+ * @return {!KeyType}
+ */
+function keyType(key) {
+  if (typeof key === 'number') {
+    return KeyType.NUMBER;
+  }
+  if (typeof key === 'string') {
+    return KeyType.STRING;
+  }
+  if (key instanceof Date) {
+    return KeyType.DATE;
+  }
+  if (Array.isArray(key)) {
+    return KeyType.ARRAY;
+  }
+  return KeyType.BINARY;
+}
+
+/**
+ * Converts `value` into a key, cloning it so later mutations of `value` do
+ * not affect the key.
+ *
+ * @param {*} value
+ * @param {!Array<*>=} seen The arrays currently being converted, to detect
+ *     cycles.
+ * @return {*} The key, or `undefined` if `value` is not a valid key.
+ */
+function convert(value, seen = []) {
+  if (typeof value === 'number') {
+    return isNaN(value) ? undefined : value;
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? undefined : new Date(value.getTime());
+  }
+  if (isBinary(value)) {
+    return bytes(value).slice().buffer;
+  }
+  if (Array.isArray(value)) {
+    if (seen.indexOf(value) > -1) {
+      return undefined;
+    }
+    seen.push(value);
+
+    const keys = [];
+    for (let i = 0; i < value.length; i++) {
+      const key = convert(value[i], seen);
+      if (key === undefined) {
+        return undefined;
+      }
+      keys.push(key);
+    }
+
+    seen.pop();
+    return keys;
+  }
+  return undefined;
+}
+
+/**
+ * Converts `value` into a key.
+ *
+ * @param {*} value
+ * @return {*} The key.
+ * @throws {Error} A `DataError` if `value` is not a valid key.
+ */
+export function toKey(value) {
+  const key = convert(value);
+  if (key === undefined) {
+    throw createError('DataError', 'The parameter is not a valid key.');
+  }
+  return key;
+}
+
+/**
+ * Whether `value` is a valid key.
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+export function isKey(value) {
+  return convert(value) !== undefined;
+}
+
+/**
+ * Compares two keys, returning -1, 0, or 1 if `a` sorts before, the same as,
+ * or after `b`.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {number}
+ * @throws {Error} A `DataError` if either is not a valid key.
+ */
+export function cmp(a, b) {
+  return compareKeys(toKey(a), toKey(b));
+}
+
+/**
+ * Compares two keys that are already known to be valid.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {number}
+ */
+export function compareKeys(a, b) {
+  const typeA = keyType(a);
+  const typeB = keyType(b);
+
+  if (typeA !== typeB) {
+    return typeA > typeB ? 1 : -1;
+  }
+
+  switch (typeA) {
+    case KeyType.ARRAY: {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const result = compareKeys(a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return compareNumbers(a.length, b.length);
+    }
+
+    case KeyType.BINARY: {
+      const bytesA = bytes(a);
+      const bytesB = bytes(b);
+      const length = Math.min(bytesA.length, bytesB.length);
+      for (let i = 0; i < length; i++) {
+        if (bytesA[i] !== bytesB[i]) {
+          return bytesA[i] > bytesB[i] ? 1 : -1;
+        }
+      }
+      return compareNumbers(bytesA.length, bytesB.length);
+    }
+
+    case KeyType.DATE:
+      return compareNumbers(a.getTime(), b.getTime());
+
+    default:
+      if (a === b) {
+        return 0;
+      }
+      return a > b ? 1 : -1;
+  }
+}
+
+/**
+ * Compares two numbers.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @return {number}
+ */
+function compareNumbers(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a > b ? 1 : -1;
+}
+
+/**
+ * Extracts the key at `keyPath` from `value`.
+ *
+ * @param {*} value
+ * @param {string|!Array<string>} keyPath
+ * @return {*} The key, or `undefined` if there is no value at `keyPath`.
+ * @throws {Error} A `DataError` if the value at `keyPath` is not a valid key.
+ */
+export function extractKey(value, keyPath) {
+  const result = evaluateKeyPath(value, keyPath);
+  if (result === undefined) {
+    return undefined;
+  }
+  return toKey(result);
+}
+
+/**
+ * Extracts the keys that an index with `keyPath` stores for `value`. Invalid
+ * keys are skipped, as the record is simply not indexed.
+ *
+ * @param {*} value
+ * @param {string|!Array<string>} keyPath
+ * @param {boolean} multiEntry
+ * @return {!Array<*>}
+ */
+export function indexKeys(value, keyPath, multiEntry) {
+  const result = evaluateKeyPath(value, keyPath);
+  if (result === undefined) {
+    return [];
+  }
+
+  if (multiEntry && Array.isArray(result)) {
+    const keys = [];
+    result.forEach((item) => {
+      const key = convert(item);
+      if (key !== undefined && !keys.some((k) => compareKeys(k, key) === 0)) {
+        keys.push(key);
+      }
+    });
+    return keys;
+  }
+
+  const key = convert(result);
+  return key === undefined ? [] : [key];
+}
+
+/**
+ * Injects a generated `key` into `value` at `keyPath`, creating any missing
+ * intermediate objects.
+ *
+ * @param {!Object} value
+ * @param {*} key
+ * @param {string} keyPath
+ * @throws {Error} A `DataError` if the key cannot be injected.
+ */
+export function injectKey(value, key, keyPath) {
+  const identifiers = keyPath.split('.');
+  const last = identifiers.pop();
+
+  identifiers.forEach((identifier) => {
+    if (value[identifier] === undefined) {
+      value[identifier] = {};
+    }
+    value = value[identifier];
+    if (!isObject(value)) {
+      throw createError('DataError', 'The key could not be injected.');
+    }
+  });
+
+  value[last] = key;
+}
+
+/**
+ * Whether a generated key could be injected into `value` at `keyPath`.
+ *
+ * @param {*} value
+ * @param {string} keyPath
+ * @return {boolean}
+ */
+export function canInjectKey(value, keyPath) {
+  const identifiers = keyPath.split('.');
+  identifiers.pop();
+
+  for (let i = 0; i < identifiers.length; i++) {
+    if (!isObject(value)) {
+      return false;
+    }
+    if (value[identifiers[i]] === undefined) {
+      return true;
+    }
+    value = value[identifiers[i]];
+  }
+  return isObject(value);
+}
+
+/**
+ * Creates a structured clone of `value`, as IndexedDB does when storing and
+ * retrieving records.
+ *
+ * @param {*} value
+ * @param {!Map=} memory The values already cloned, to preserve cycles and
+ *     shared references.
+ * @return {*}
+ * @throws {Error} A `DataCloneError` if `value` cannot be cloned.
+ */
+export function clone(value, memory = new Map()) {
+  if (!isObject(value) || typeof value === 'function') {
+    if (typeof value === 'function' ||
+      Object.prototype.toString.call(value) === '[object Symbol]') {
+      throw createError('DataCloneError', `${String(value)} could not be cloned.`);
+    }
+    return value;
+  }
+
+  if (memory.has(value)) {
+    return memory.get(value);
+  }
+
+  let result;
+  if (value instanceof Date) {
+    result = new Date(value.getTime());
+  } else if (value instanceof RegExp) {
+    result = new RegExp(value.source, value.flags);
+  } else if (value instanceof ArrayBuffer) {
+    result = value.slice(0);
+  } else if (ArrayBuffer.isView(value)) {
+    const buffer = clone(value.buffer, memory);
+    const Ctor = value.constructor;
+    result = Ctor === DataView ?
+      new DataView(buffer, value.byteOffset, value.byteLength) :
+      new Ctor(buffer, value.byteOffset, value.length);
+  } else if (value instanceof Map) {
+    result = new Map();
+    memory.set(value, result);
+    value.forEach((v, k) => {
+      result.set(clone(k, memory), clone(v, memory));
+    });
+    return result;
+  } else if (value instanceof Set) {
+    result = new Set();
+    memory.set(value, result);
+    value.forEach((v) => {
+      result.add(clone(v, memory));
+    });
+    return result;
+  } else if (value instanceof Error) {
+    result = new Error(value.message);
+    result.name = value.name;
+  } else if (Array.isArray(value)) {
+    result = new Array(value.length);
+    memory.set(value, result);
+    Object.keys(value).forEach((key) => {
+      result[key] = clone(value[key], memory);
+    });
+    return result;
+  } else {
+    // Like a structured clone, any other object is cloned as a plain object
+    // of its own enumerable properties.
+    result = {};
+    memory.set(value, result);
+    Object.keys(value).forEach((key) => {
+      result[key] = clone(value[key], memory);
+    });
+    return result;
+  }
+
+  memory.set(value, result);
+  return result;
+}
@@ -0,0 +1,563 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import {
+  canInjectKey,
+  clone,
+  extractKey,
+  injectKey,
+  toKey,
+} from './keys';
+import { isKeyPath } from '../key-path';
+import { toRange } from './key-range';
+import { IndexData, inRange } from './storage';
+import { MemoryCursor, MemoryCursorWithValue, toDirection } from './cursor';
+import { stringList } from './events';
+import { MemoryRequest } from './transaction';
+
+/**
+ * Converts the `count` argument of `getAll` and `getAllKeys`, where anything
+ * but a positive number means every record.
+ *
+ * @param {number|undefined} count
+ * @return {number}
+ */
+function toCount(count) {
+  if (count === undefined || count === 0 || count === Infinity) {
+    return Infinity;
+  }
+  if (!(count > 0 && Math.floor(count) === count)) {
+    throw new TypeError('The count must be a positive integer.');
+  }
+  return count;
+}
+
+/**
+ * The reading API shared by objectStores and indexes.
+ */
+class MemorySource {
+  /**
+   * @param {!MemoryTransaction} transaction
+   */
+  constructor(transaction) {
+    /** @const {!MemoryTransaction} */
+    this.transaction = transaction;
+  }
+
+  /**
+   * Counts the records matching `query`.
+   *
+   * @param {*=} query
+   * @return {!MemoryRequest<number>}
+   */
+  count(query = undefined) {
+    const range = this._prepare(query);
+    return this._request(() => this._entries(range).length);
+  }
+
+  /**
+   * Gets the first record matching `query`.
+   *
+   * @param {*} query
+   * @return {!MemoryRequest<*>}
+   */
+  get(query) {
+    const range = this._prepare(query, false);
+    return this._request(() => {
+      const [entry] = this._entries(range);
+      return entry ? clone(this._value(entry)) : undefined;
+    });
+  }
+
+  /**
+   * Gets the primary key of the first record matching `query`.
+   *
+   * @param {*} query
+   * @return {!MemoryRequest<*>}
+   */
+  getKey(query) {
+    const range = this._prepare(query, false);
+    return this._request(() => {
+      const [entry] = this._entries(range);
+      return entry ? clone(this._primaryKey(entry)) : undefined;
+    });
+  }
+
+  /**
+   * Gets every record matching `query`, up to `count` records.
+   *
+   * @param {*=} query
+   * @param {number=} count
+   * @return {!MemoryRequest<!Array<*>>}
+   */
+  getAll(query = undefined, count = undefined) {
+    const range = this._prepare(query);
+    const limit = toCount(count);
+    return this._request(() => {
+      return this._entries(range).slice(0, limit).map((entry) => clone(this._value(entry)));
+    });
+  }
+
+  /**
+   * Gets the primary key of every record matching `query`, up to `count`
+   * records.
+   *
+   * @param {*=} query
+   * @param {number=} count
+   * @return {!MemoryRequest<!Array<*>>}
+   */
+  getAllKeys(query = undefined, count = undefined) {
+    const range = this._prepare(query);
+    const limit = toCount(count);
+    return this._request(() => {
+      return this._entries(range).slice(0, limit).map((entry) => clone(this._primaryKey(entry)));
+    });
+  }
+
+  /**
+   * Opens a cursor over the records matching `query`.
+   *
+   * @param {*=} query
+   * @param {string=} direction
+   * @return {!MemoryRequest<?MemoryCursorWithValue>}
+   */
+  openCursor(query = undefined, direction = 'next') {
+    const range = this._prepare(query);
+    const request = new MemoryRequest(this, this.transaction);
+    const cursor = new MemoryCursorWithValue(this, request, toDirection(direction), range);
+    return this.transaction._request(request, () => cursor._open());
+  }
+
+  /**
+   * Opens a cursor over the keys of the records matching `query`.
+   *
+   * @param {*=} query
+   * @param {string=} direction
+   * @return {!MemoryRequest<?MemoryCursor>}
+   */
+  openKeyCursor(query = undefined, direction = 'next') {
+    const range = this._prepare(query);
+    const request = new MemoryRequest(this, this.transaction);
+    const cursor = new MemoryCursor(this, request, toDirection(direction), range, true);
+    return this.transaction._request(request, () => cursor._open());
+  }
+
+  /**
+   * Validates that a request may be placed, converting `query` into a range.
+   *
+   * @param {*} query
+   * @param {boolean=} nullable Whether a missing query matches every record.
+   * @return {?KeyRange}
+   */
+  _prepare(query, nullable = true) {
+    this._assertExists();
+    this.transaction._assertActive();
+    return toRange(query, nullable);
+  }
+
+  /**
+   * Places a request against the transaction.
+   *
+   * @param {function():*} operation
+   * @return {!MemoryRequest}
+   */
+  _request(operation) {
+    return this.transaction._request(new MemoryRequest(this, this.transaction), operation);
+  }
+}
+
+/**
+ * An in-memory IDBIndex.
+ */
+export class MemoryIndex extends MemorySource {
+  /**
+   * @param {!MemoryObjectStore} objectStore
+   * @param {!IndexData} data
+   */
+  constructor(objectStore, data) {
+    super(objectStore.transaction);
+
+    /** @const {!MemoryObjectStore} */
+    this.objectStore = objectStore;
+
+    /** @const {!IndexData} */
+    this._data = data;
+  }
+
+  /**
+   * @return {string}
+   */
+  get name() {
+    return this._data.name;
+  }
+
+  /**
+   * Renames the index. Note that this may only be done during an upgrade.
+   *
+   * @param {string} name
+   */
+  set name(name) {
+    this.objectStore._assertUpgrading();
+    this._assertExists();
+    name = String(name);
+    if (name === this._data.name) {
+      return;
+    }
+
+    const { indexes } = this.objectStore._data;
+    if (indexes[name]) {
+      throw createError('ConstraintError', `An index named "${name}" already exists.`);
+    }
+    delete indexes[this._data.name];
+    indexes[name] = this._data;
+    this._data.name = name;
+  }
+
+  /**
+   * @return {*}
+   */
+  get keyPath() {
+    return clone(this._data.keyPath);
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get unique() {
+    return this._data.unique;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get multiEntry() {
+    return this._data.multiEntry;
+  }
+
+  /**
+   * @throws {Error} An `InvalidStateError` if the index or its objectStore
+   *     was deleted.
+   */
+  _assertExists() {
+    this.objectStore._assertExists();
+    if (this.objectStore._data.indexes[this._data.name] !== this._data) {
+      throw createError('InvalidStateError', 'The index has been deleted.');
+    }
+  }
+
+  /**
+   * @param {?KeyRange} range
+   * @return {!Array<{key: *, primaryKey: *}>}
+   */
+  _entries(range) {
+    return inRange(this._data.records, range);
+  }
+
+  /**
+   * @param {{key: *, primaryKey: *}} entry
+   * @return {*}
+   */
+  _value(entry) {
+    return this.objectStore._data.find(entry.primaryKey).value;
+  }
+
+  /**
+   * @param {{key: *, primaryKey: *}} entry
+   * @return {*}
+   */
+  _primaryKey(entry) {
+    return entry.primaryKey;
+  }
+}
+
+/**
+ * An in-memory IDBObjectStore.
+ */
+export class MemoryObjectStore extends MemorySource {
+  /**
+   * @param {!MemoryTransaction} transaction
+   * @param {!StoreData} data
+   */
+  constructor(transaction, data) {
+    super(transaction);
+
+    /** @const {!StoreData} */
+    this._data = data;
+  }
+
+  /**
+   * @return {string}
+   */
+  get name() {
+    return this._data.name;
+  }
+
+  /**
+   * Renames the objectStore. Note that this may only be done during an
+   * upgrade.
+   *
+   * @param {string} name
+   */
+  set name(name) {
+    this._assertUpgrading();
+    name = String(name);
+    if (name === this._data.name) {
+      return;
+    }
+
+    const { stores } = this.transaction.db._data;
+    if (stores[name]) {
+      throw createError('ConstraintError', `An objectStore named "${name}" already exists.`);
+    }
+    delete stores[this._data.name];
+    stores[name] = this._data;
+    this._data.name = name;
+  }
+
+  /**
+   * @return {*}
+   */
+  get keyPath() {
+    return clone(this._data.keyPath);
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get autoIncrement() {
+    return this._data.autoIncrement;
+  }
+
+  /**
+   * @return {!Array<string>}
+   */
+  get indexNames() {
+    return stringList(Object.keys(this._data.indexes));
+  }
+
+  /**
+   * Adds the record, failing if a record with the key already exists.
+   *
+   * @param {*} value
+   * @param {*=} key
+   * @return {!MemoryRequest} A request that resolves to the record's key.
+   */
+  add(value, key = undefined) {
+    return this._store(value, key, true);
+  }
+
+  /**
+   * Adds or replaces the record.
+   *
+   * @param {*} value
+   * @param {*=} key
+   * @return {!MemoryRequest} A request that resolves to the record's key.
+   */
+  put(value, key = undefined) {
+    return this._store(value, key, false);
+  }
+
+  /**
+   * Deletes every record matching `query`.
+   *
+   * @param {*} query
+   * @return {!MemoryRequest<undefined>}
+   */
+  delete(query) {
+    this.transaction._assertActive(true);
+    const range = this._prepare(query, false);
+    return this._request(() => {
+      const data = this._data;
+      const records = inRange(data.records, range);
+      if (records.length) {
+        this.transaction._modify(data);
+        records.forEach((record) => data.remove(record));
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * Deletes every record.
+   *
+   * @return {!MemoryRequest<undefined>}
+   */
+  clear() {
+    this.transaction._assertActive(true);
+    this._prepare(undefined);
+    return this._request(() => {
+      this.transaction._modify(this._data);
+      this._data.clear();
+      return undefined;
+    });
+  }
+
+  /**
+   * Returns a handle to the index `name`.
+   *
+   * @param {string} name
+   * @return {!MemoryIndex}
+   */
+  index(name) {
+    this._assertExists();
+    if (this.transaction._finished) {
+      throw createError('InvalidStateError', 'The transaction has finished.');
+    }
+    const index = this._data.indexes[name];
+    if (!index) {
+      throw createError('NotFoundError', `No index named "${name}".`);
+    }
+    return new MemoryIndex(this, index);
+  }
+
+  /**
+   * Creates an index. Note that this may only be done during an upgrade.
+   *
+   * @param {string} name
+   * @param {string|!Array<string>} keyPath
+   * @param {{unique: (boolean|undefined), multiEntry: (boolean|undefined)}=}
+   *     params
+   * @return {!MemoryIndex}
+   */
+  createIndex(name, keyPath, { unique = false, multiEntry = false } = {}) {
+    this._assertUpgrading();
+    name = String(name);
+    if (this._data.indexes[name]) {
+      throw createError('ConstraintError', `An index named "${name}" already exists.`);
+    }
+    if (!isKeyPath(keyPath)) {
+      throw createError('SyntaxError', 'The keyPath is not a valid key path.');
+    }
+    if (multiEntry && Array.isArray(keyPath)) {
+      throw createError('InvalidAccessError', 'A multiEntry index may not have an array keyPath.');
+    }
+
+    const index = new IndexData(name, clone(keyPath), !!unique, !!multiEntry);
+    if (!this._data.createIndex(index)) {
+      this.transaction._failure = createError(
+        'ConstraintError',
+        `The existing records violate the unique index "${name}".`
+      );
+    }
+    return new MemoryIndex(this, index);
+  }
+
+  /**
+   * Deletes the index `name`. Note that this may only be done during an
+   * upgrade.
+   *
+   * @param {string} name
+   */
+  deleteIndex(name) {
+    this._assertUpgrading();
+    if (!this._data.indexes[name]) {
+      throw createError('NotFoundError', `No index named "${name}".`);
+    }
+    delete this._data.indexes[name];
+  }
+
+  /**
+   * @throws {Error} An `InvalidStateError` if the objectStore was deleted.
+   */
+  _assertExists() {
+    if (this.transaction.db._data.stores[this._data.name] !== this._data) {
+      throw createError('InvalidStateError', 'The objectStore has been deleted.');
+    }
+  }
+
+  /**
+   * @throws {Error} If the schema may not be changed.
+   */
+  _assertUpgrading() {
+    if (this.transaction.mode !== 'versionchange') {
+      throw createError('InvalidStateError', 'The schema may only change during an upgrade.');
+    }
+    this._assertExists();
+    this.transaction._assertActive();
+  }
+
+  /**
+   * Validates the record and key, then places a request to store it.
+   *
+   * @param {*} value
+   * @param {*} key
+   * @param {boolean} noOverwrite
+   * @return {!MemoryRequest}
+   */
+  _store(value, key, noOverwrite) {
+    const { transaction } = this;
+    transaction._assertActive(true);
+    this._assertExists();
+
+    const data = this._data;
+    const { keyPath, autoIncrement } = data;
+    if (keyPath !== null && key !== undefined) {
+      throw createError('DataError', 'An objectStore with a keyPath may not be given a key.');
+    }
+    if (keyPath === null && !autoIncrement && key === undefined) {
+      throw createError('DataError', 'A key is required.');
+    }
+    if (key !== undefined) {
+      key = toKey(key);
+    }
+
+    const cloned = clone(value);
+    if (keyPath !== null) {
+      key = extractKey(cloned, keyPath);
+      if (key === undefined && (!autoIncrement || !canInjectKey(cloned, keyPath))) {
+        throw createError('DataError', 'The record has no valid key at the keyPath.');
+      }
+    }
+
+    return this._request(() => {
+      transaction._modify(data);
+      let primaryKey = key;
+      if (primaryKey === undefined) {
+        primaryKey = data.generateKey();
+        if (keyPath !== null) {
+          injectKey(cloned, primaryKey, keyPath);
+        }
+      }
+      data.store(cloned, primaryKey, noOverwrite);
+      return primaryKey;
+    });
+  }
+
+  /**
+   * @param {?KeyRange} range
+   * @return {!Array<{key: *, value: *}>}
+   */
+  _entries(range) {
+    return inRange(this._data.records, range);
+  }
+
+  /**
+   * @param {{key: *, value: *}} entry
+   * @return {*}
+   */
+  _value(entry) {
+    return entry.value;
+  }
+
+  /**
+   * @param {{key: *, value: *}} entry
+   * @return {*}
+   */
+  _primaryKey(entry) {
+    return entry.key;
+  }
+}
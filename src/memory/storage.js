@@ -0,0 +1,432 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { compareKeys, indexKeys } from './keys';
+import { rangeIncludes } from './key-range';
+
+/**
+ * Compares a record's key to `key`.
+ *
+ * @param {{key: *}} record
+ * @param {*} key
+ * @return {number}
+ */
+function compareRecord(record, key) {
+  return compareKeys(record.key, key);
+}
+
+/**
+ * Finds the position of the first record whose key is not less than `key`
+ * (or greater than `key`, if `exclusive`), using a binary search.
+ *
+ * @param {!Array<{key: *}>} records Records sorted by key.
+ * @param {*} key
+ * @param {boolean=} exclusive
+ * @param {function(!Object, *):number=} compare Compares a record to `key`.
+ * @return {number}
+ */
+export function search(records, key, exclusive = false, compare = compareRecord) {
+  let low = 0;
+  let high = records.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    const order = compare(records[mid], key);
+    if (order < 0 || (exclusive && order === 0)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Returns the records (sorted by key) that are inside `range`.
+ *
+ * @param {!Array<{key: *}>} records
+ * @param {?KeyRange} range
+ * @return {!Array<{key: *}>}
+ */
+export function inRange(records, range) {
+  if (!range) {
+    return records.slice();
+  }
+
+  let start = 0;
+  if (range.lower !== undefined) {
+    start = search(records, range.lower, range.lowerOpen);
+  }
+
+  const results = [];
+  for (let i = start; i < records.length; i++) {
+    const record = records[i];
+    if (!rangeIncludes(range, record.key)) {
+      break;
+    }
+    results.push(record);
+  }
+  return results;
+}
+
+/**
+ * Compares two index records, first by key then by primary key.
+ *
+ * @param {{key: *, primaryKey: *}} a
+ * @param {{key: *, primaryKey: *}} b
+ * @return {number}
+ */
+function compareIndexRecords(a, b) {
+  return compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey);
+}
+
+/**
+ * The records of an index, sorted by key and then primary key.
+ */
+export class IndexData {
+  /**
+   * @param {string} name
+   * @param {string|!Array<string>} keyPath
+   * @param {boolean} unique
+   * @param {boolean} multiEntry
+   */
+  constructor(name, keyPath, unique, multiEntry) {
+    /** @type {string} */
+    this.name = name;
+
+    /** @const */
+    this.keyPath = keyPath;
+
+    /** @const {boolean} */
+    this.unique = unique;
+
+    /** @const {boolean} */
+    this.multiEntry = multiEntry;
+
+    /** @type {!Array<{key: *, primaryKey: *}>} */
+    this.records = [];
+  }
+
+  /**
+   * Whether indexing `value` under `primaryKey` would violate the uniqueness
+   * of this index.
+   *
+   * @param {*} value
+   * @param {*} primaryKey
+   * @return {boolean}
+   */
+  violates(value, primaryKey) {
+    if (!this.unique) {
+      return false;
+    }
+    return indexKeys(value, this.keyPath, this.multiEntry).some((key) => {
+      const i = search(this.records, key);
+      const record = this.records[i];
+      return record && compareKeys(record.key, key) === 0 &&
+        compareKeys(record.primaryKey, primaryKey) !== 0;
+    });
+  }
+
+  /**
+   * Indexes the record `value` stored under `primaryKey`.
+   *
+   * @param {*} value
+   * @param {*} primaryKey
+   */
+  add(value, primaryKey) {
+    indexKeys(value, this.keyPath, this.multiEntry).forEach((key) => {
+      const record = { key, primaryKey };
+      const i = search(this.records, record, false, compareIndexRecords);
+      this.records.splice(i, 0, record);
+    });
+  }
+
+  /**
+   * Removes the index records of the record stored under `primaryKey`.
+   *
+   * @param {*} value The stored record.
+   * @param {*} primaryKey
+   */
+  remove(value, primaryKey) {
+    indexKeys(value, this.keyPath, this.multiEntry).forEach((key) => {
+      const record = { key, primaryKey };
+      const i = search(this.records, record, false, compareIndexRecords);
+      if (this.records[i] && compareIndexRecords(this.records[i], record) === 0) {
+        this.records.splice(i, 1);
+      }
+    });
+  }
+
+  /**
+   * Finds the position of the first index record at or after (or strictly
+   * after, if `exclusive`) the `key` and `primaryKey` position.
+   *
+   * @param {*} key
+   * @param {*} primaryKey
+   * @param {boolean} exclusive
+   * @return {number}
+   */
+  position(key, primaryKey, exclusive) {
+    return search(this.records, { key, primaryKey }, exclusive, compareIndexRecords);
+  }
+}
+
+/**
+ * The records and indexes of an objectStore, sorted by key.
+ */
+export class StoreData {
+  /**
+   * @param {string} name
+   * @param {string|!Array<string>|null} keyPath
+   * @param {boolean} autoIncrement
+   */
+  constructor(name, keyPath, autoIncrement) {
+    /** @type {string} */
+    this.name = name;
+
+    /** @const */
+    this.keyPath = keyPath;
+
+    /** @const {boolean} */
+    this.autoIncrement = autoIncrement;
+
+    /**
+     * The next key the key generator will produce.
+     *
+     * @type {number}
+     */
+    this.generator = 1;
+
+    /** @type {!Array<{key: *, value: *}>} */
+    this.records = [];
+
+    /** @type {!Object<string, !IndexData>} */
+    this.indexes = Object.create(null);
+  }
+
+  /**
+   * Generates the next key.
+   *
+   * @return {number}
+   * @throws {Error} A `ConstraintError` once the generator is exhausted.
+   */
+  generateKey() {
+    if (this.generator > 9007199254740992) {
+      throw createError('ConstraintError', 'The key generator is exhausted.');
+    }
+    return this.generator++;
+  }
+
+  /**
+   * Advances the key generator past an explicitly provided key.
+   *
+   * @param {*} key
+   */
+  updateGenerator(key) {
+    if (typeof key === 'number' && key >= this.generator) {
+      this.generator = Math.floor(Math.min(key, 9007199254740992)) + 1;
+    }
+  }
+
+  /**
+   * Finds the record stored under `key`.
+   *
+   * @param {*} key
+   * @return {?{key: *, value: *}}
+   */
+  find(key) {
+    const record = this.records[search(this.records, key)];
+    if (record && compareKeys(record.key, key) === 0) {
+      return record;
+    }
+    return null;
+  }
+
+  /**
+   * Stores `value` under `key`, updating every index.
+   *
+   * @param {*} value An already cloned record.
+   * @param {*} key
+   * @param {boolean} noOverwrite Whether an existing record is an error.
+   * @throws {Error} A `ConstraintError` if the record exists and
+   *     `noOverwrite`, or if a unique index would be violated.
+   */
+  store(value, key, noOverwrite) {
+    const existing = this.find(key);
+    if (existing && noOverwrite) {
+      throw createError('ConstraintError', 'A record with the key already exists.');
+    }
+
+    const names = Object.keys(this.indexes);
+    names.forEach((name) => {
+      if (this.indexes[name].violates(value, key)) {
+        throw createError(
+          'ConstraintError',
+          `The unique index "${name}" already has a record with the key.`
+        );
+      }
+    });
+
+    if (existing) {
+      this.remove(existing);
+    }
+
+    const record = { key, value };
+    this.records.splice(search(this.records, key), 0, record);
+    names.forEach((name) => {
+      this.indexes[name].add(value, key);
+    });
+    if (this.autoIncrement) {
+      this.updateGenerator(key);
+    }
+  }
+
+  /**
+   * Removes a stored record, updating every index.
+   *
+   * @param {{key: *, value: *}} record
+   */
+  remove(record) {
+    const i = search(this.records, record.key);
+    this.records.splice(i, 1);
+    Object.keys(this.indexes).forEach((name) => {
+      this.indexes[name].remove(record.value, record.key);
+    });
+  }
+
+  /**
+   * Removes every record, emptying every index.
+   */
+  clear() {
+    this.records = [];
+    Object.keys(this.indexes).forEach((name) => {
+      this.indexes[name].records = [];
+    });
+  }
+
+  /**
+   * Creates an index, indexing every existing record.
+   *
+   * @param {!IndexData} index
+   * @return {boolean} Whether the existing records satisfy the index's
+   *     uniqueness.
+   */
+  createIndex(index) {
+    let valid = true;
+    this.records.forEach(({ key, value }) => {
+      if (index.violates(value, key)) {
+        valid = false;
+      }
+      index.add(value, key);
+    });
+    this.indexes[index.name] = index;
+    return valid;
+  }
+
+  /**
+   * Captures the state of the records, key generator, and index records, so
+   * that they may be restored if a transaction aborts. Records themselves are
+   * never mutated, so a shallow copy is enough.
+   *
+   * @return {function()} A function that restores the captured state.
+   */
+  checkpoint() {
+    const records = this.records.slice();
+    const generator = this.generator;
+    const indexes = Object.assign(Object.create(null), this.indexes);
+    const indexRecords = Object.keys(indexes).map((name) => {
+      return [indexes[name], indexes[name].records.slice(), indexes[name].name];
+    });
+    const name = this.name;
+
+    return () => {
+      this.name = name;
+      this.records = records;
+      this.generator = generator;
+      this.indexes = indexes;
+      indexRecords.forEach(([index, saved, indexName]) => {
+        index.records = saved;
+        index.name = indexName;
+      });
+    };
+  }
+}
+
+/**
+ * The stored state of a database: its version and objectStores.
+ */
+export class DatabaseData {
+  /**
+   * @param {string} name
+   */
+  constructor(name) {
+    /** @const {string} */
+    this.name = name;
+
+    /** @type {number} */
+    this.version = 0;
+
+    /** @type {!Object<string, !StoreData>} */
+    this.stores = Object.create(null);
+
+    /**
+     * The open connections to this database.
+     *
+     * @const {!Array<!MemoryDatabase>}
+     */
+    this.connections = [];
+
+    /**
+     * The unfinished transactions on this database, in creation order.
+     *
+     * @const {!Array<!MemoryTransaction>}
+     */
+    this.transactions = [];
+
+    /**
+     * Called whenever a transaction finishes or a connection closes.
+     *
+     * @const {!Array<function()>}
+     */
+    this.listeners = [];
+  }
+
+  /**
+   * Calls every listener, after a transaction finishes or a connection
+   * closes.
+   */
+  notify() {
+    this.listeners.slice().forEach((listener) => listener());
+  }
+
+  /**
+   * Captures the entire state of the database, so that it may be restored if
+   * a versionchange transaction aborts.
+   *
+   * @return {function()} A function that restores the captured state.
+   */
+  checkpoint() {
+    const version = this.version;
+    const stores = Object.assign(Object.create(null), this.stores);
+    const restores = Object.keys(stores).map((name) => stores[name].checkpoint());
+
+    return () => {
+      this.version = version;
+      this.stores = stores;
+      restores.forEach((restore) => restore());
+    };
+  }
+}
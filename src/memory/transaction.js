@@ -0,0 +1,448 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from '../errors';
+import { Event, EventTarget, schedule, stringList } from './events';
+
+/**
+ * An in-memory IDBRequest.
+ */
+export class MemoryRequest extends EventTarget {
+  /**
+   * @param {?Object} source The objectStore, index, or cursor that issued
+   *     this request.
+   * @param {?MemoryTransaction} transaction
+   */
+  constructor(source, transaction) {
+    super();
+
+    /** @type {?Object} */
+    this.source = source;
+
+    /** @type {?MemoryTransaction} */
+    this.transaction = transaction;
+
+    /** @type {string} */
+    this.readyState = 'pending';
+
+    /** @type {?function(!Event)} */
+    this.onsuccess = null;
+
+    /** @type {?function(!Event)} */
+    this.onerror = null;
+
+    /** @type {*} */
+    this._result = undefined;
+
+    /** @type {?Error} */
+    this._error = null;
+  }
+
+  /**
+   * @return {*}
+   * @throws {Error} An `InvalidStateError` if the request is pending.
+   */
+  get result() {
+    if (this.readyState !== 'done') {
+      throw createError('InvalidStateError', 'The request has not finished.');
+    }
+    return this._result;
+  }
+
+  /**
+   * @return {?Error}
+   * @throws {Error} An `InvalidStateError` if the request is pending.
+   */
+  get error() {
+    if (this.readyState !== 'done') {
+      throw createError('InvalidStateError', 'The request has not finished.');
+    }
+    return this._error;
+  }
+
+  /**
+   * Error events bubble to the transaction.
+   *
+   * @return {?EventTarget}
+   */
+  _parent() {
+    return this.transaction;
+  }
+}
+
+/**
+ * Whether two transaction scopes share an objectStore.
+ *
+ * @param {!Array<string>} a
+ * @param {!Array<string>} b
+ * @return {boolean}
+ */
+function overlaps(a, b) {
+  return a.some((name) => b.indexOf(name) > -1);
+}
+
+/**
+ * An in-memory IDBTransaction. Requests are executed one at a time, each in
+ * its own task, and the transaction commits once it has no pending requests
+ * and is no longer active.
+ */
+export class MemoryTransaction extends EventTarget {
+  /**
+   * @param {!MemoryDatabase} db The connection that created the transaction.
+   * @param {!Array<string>} scope
+   * @param {string} mode
+   * @param {string=} durability
+   */
+  constructor(db, scope, mode, durability = 'default') {
+    super();
+
+    /** @const {!MemoryDatabase} */
+    this.db = db;
+
+    /** @const {string} */
+    this.mode = mode;
+
+    /** @const {string} */
+    this.durability = durability;
+
+    /** @type {?Error} */
+    this.error = null;
+
+    /** @type {?function(!Event)} */
+    this.onabort = null;
+
+    /** @type {?function(!Event)} */
+    this.oncomplete = null;
+
+    /** @type {?function(!Event)} */
+    this.onerror = null;
+
+    /** @type {!Array<string>} */
+    this._scope = scope.slice();
+
+    /**
+     * Whether requests may be placed against the transaction.
+     *
+     * @type {boolean}
+     */
+    this._active = true;
+
+    /**
+     * Whether the transaction may access its objectStores, which waits on
+     * other transactions with an overlapping scope.
+     *
+     * @type {boolean}
+     */
+    this._started = false;
+
+    /**
+     * Whether the transaction is waiting for another to finish before it can
+     * start.
+     *
+     * @type {boolean}
+     */
+    this._waiting = false;
+
+    /** @type {boolean} */
+    this._committing = false;
+
+    /** @type {boolean} */
+    this._finished = false;
+
+    /**
+     * An error that must abort the transaction before it commits.
+     *
+     * @type {?Error}
+     */
+    this._failure = null;
+
+    /**
+     * The requests waiting to be executed.
+     *
+     * @const {!Array<{request: !MemoryRequest, operation: function():*}>}
+     */
+    this._requests = [];
+
+    /**
+     * Restores the objectStores (or, for a versionchange transaction, the
+     * entire database) to their state before the transaction, keyed by name.
+     *
+     * @const {!Object<string, function()>}
+     */
+    this._checkpoints = Object.create(null);
+
+    db._data.transactions.push(this);
+    db._transactions.push(this);
+    if (mode === 'versionchange') {
+      this._checkpoints[''] = db._data.checkpoint();
+    }
+
+    // The transaction stays active until the end of the task that created it.
+    schedule(() => this._step());
+  }
+
+  /**
+   * @return {!Array<string>}
+   */
+  get objectStoreNames() {
+    if (this.mode === 'versionchange') {
+      return this.db.objectStoreNames;
+    }
+    return stringList(this._scope);
+  }
+
+  /**
+   * Events bubble to the connection.
+   *
+   * @return {?EventTarget}
+   */
+  _parent() {
+    return this.db;
+  }
+
+  /**
+   * Returns a handle to the objectStore `name`.
+   *
+   * @param {string} name
+   * @return {!MemoryObjectStore}
+   * @throws {Error} An `InvalidStateError` if the transaction is finished, or
+   *     a `NotFoundError` if the objectStore is not in scope.
+   */
+  objectStore(name) {
+    if (this._finished) {
+      throw createError('InvalidStateError', 'The transaction has finished.');
+    }
+    const data = this.db._data.stores[name];
+    if (!data || (this.mode !== 'versionchange' && this._scope.indexOf(name) === -1)) {
+      throw createError('NotFoundError', `No objectStore named "${name}" in this transaction.`);
+    }
+    return this.db._storeHandle(this, data);
+  }
+
+  /**
+   * Aborts the transaction, rolling back every change it made.
+   *
+   * @throws {Error} An `InvalidStateError` if the transaction has already
+   *     committed or aborted.
+   */
+  abort() {
+    if (this._finished || this._committing) {
+      throw createError('InvalidStateError', 'The transaction has finished.');
+    }
+    this._abort(null);
+  }
+
+  /**
+   * Commits the transaction once its pending requests are executed, without
+   * waiting for it to become inactive.
+   *
+   * @throws {Error} An `InvalidStateError` if the transaction is not active.
+   */
+  commit() {
+    if (this._finished || !this._active) {
+      throw createError('InvalidStateError', 'The transaction is not active.');
+    }
+    this._committing = true;
+    this._active = false;
+  }
+
+  /**
+   * Places a request against the transaction. The `operation` is executed
+   * once the previous requests have finished, and its return value becomes
+   * the request's result. If it throws, the request fails with the error.
+   *
+   * @param {!MemoryRequest} request
+   * @param {function():*} operation
+   * @return {!MemoryRequest}
+   */
+  _request(request, operation) {
+    this._assertActive();
+    request.readyState = 'pending';
+    this._requests.push({ request, operation });
+    return request;
+  }
+
+  /**
+   * @param {boolean=} write Whether the operation writes.
+   * @throws {Error} A `TransactionInactiveError` if the transaction is not
+   *     active, or a `ReadOnlyError` if writing in a readonly transaction.
+   */
+  _assertActive(write = false) {
+    if (!this._active || this._finished) {
+      throw createError('TransactionInactiveError', 'The transaction is not active.');
+    }
+    if (write && this.mode === 'readonly') {
+      throw createError('ReadOnlyError', 'The transaction is read-only.');
+    }
+  }
+
+  /**
+   * Captures the state of the objectStore before the transaction first
+   * modifies it.
+   *
+   * @param {!StoreData} store
+   */
+  _modify(store) {
+    if (!this._checkpoints[''] && !this._checkpoints[store.name]) {
+      this._checkpoints[store.name] = store.checkpoint();
+    }
+  }
+
+  /**
+   * Whether every earlier transaction with an overlapping scope has
+   * finished, when either transaction may write.
+   *
+   * @return {boolean}
+   */
+  _canStart() {
+    const transactions = this.db._data.transactions;
+    for (let i = 0; i < transactions.length && transactions[i] !== this; i++) {
+      const other = transactions[i];
+      if (other.mode === 'versionchange') {
+        return false;
+      }
+      if ((other.mode !== 'readonly' || this.mode !== 'readonly') &&
+        overlaps(other._scope, this._scope)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Executes the next request, or commits if there are none.
+   */
+  _step() {
+    if (this._finished) {
+      return;
+    }
+    this._active = false;
+
+    if (this._failure) {
+      this._abort(this._failure);
+      return;
+    }
+
+    if (!this._started) {
+      if (!this._canStart()) {
+        this._waiting = true;
+        return;
+      }
+      this._started = true;
+    }
+
+    const next = this._requests.shift();
+    if (!next) {
+      this._commit();
+      return;
+    }
+
+    this._execute(next.request, next.operation);
+    schedule(() => this._step());
+  }
+
+  /**
+   * Executes a request's operation and dispatches its result.
+   *
+   * @param {!MemoryRequest} request
+   * @param {function():*} operation
+   */
+  _execute(request, operation) {
+    let failed = false;
+    let result;
+    try {
+      result = operation();
+    } catch (error) {
+      failed = true;
+      result = error;
+    }
+
+    request.readyState = 'done';
+    // Like a browser, the transaction stays active through the microtasks
+    // queued by the handlers, until `_step` runs in the next task.
+    this._active = true;
+    if (failed) {
+      request._result = undefined;
+      request._error = result;
+      const event = new Event('error', { bubbles: true, cancelable: true });
+      const threw = request.dispatchEvent(event);
+      if (!this._finished && (threw || !event.defaultPrevented)) {
+        this._abort(threw ? createError('AbortError', 'An error handler threw.') : result);
+      }
+    } else {
+      request._result = result;
+      request._error = null;
+      const threw = request.dispatchEvent(new Event('success'));
+      if (!this._finished && threw) {
+        this._abort(createError('AbortError', 'A success handler threw.'));
+      }
+    }
+  }
+
+  /**
+   * Rolls back every change, fails every pending request, and dispatches the
+   * `abort` event.
+   *
+   * @param {?Error} error
+   */
+  _abort(error) {
+    this._finished = true;
+    this._active = false;
+    this.error = error;
+
+    const names = Object.keys(this._checkpoints);
+    names.forEach((name) => this._checkpoints[name]());
+
+    const pending = this._requests.splice(0);
+    schedule(() => {
+      pending.forEach(({ request }) => {
+        request.readyState = 'done';
+        request._result = undefined;
+        request._error = createError('AbortError', 'The transaction was aborted.');
+        request.dispatchEvent(new Event('error', { bubbles: true, cancelable: true }));
+      });
+      this._finish();
+      this.dispatchEvent(new Event('abort', { bubbles: true }));
+    });
+  }
+
+  /**
+   * Dispatches the `complete` event.
+   */
+  _commit() {
+    this._finished = true;
+    this._finish();
+    this.dispatchEvent(new Event('complete'));
+  }
+
+  /**
+   * Removes the finished transaction, allowing waiting transactions to start.
+   */
+  _finish() {
+    const { transactions } = this.db._data;
+    transactions.splice(transactions.indexOf(this), 1);
+    const own = this.db._transactions;
+    own.splice(own.indexOf(this), 1);
+
+    transactions.forEach((transaction) => {
+      if (transaction._waiting) {
+        transaction._waiting = false;
+        schedule(() => transaction._step());
+      }
+    });
+    this.db._data.notify();
+  }
+}
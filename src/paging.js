@@ -0,0 +1,265 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from './errors';
+import { isKeyRange } from './undo-log';
+
+/**
+ * A page of records, along with the tokens to fetch the pages after and
+ * before it. See `DataSource#page`.
+ *
+ * @typedef {{
+ *   items: !Array<*>,
+ *   nextToken: ?string,
+ *   prevToken: ?string,
+ * }}
+ */
+let Page;
+
+/**
+ * The position a page token resumes from: the `key` and `primaryKey` of the
+ * record at the edge of a page, the `direction` the pages are shown in, and
+ * whether to fetch the page `backward` from the position.
+ *
+ * @typedef {{
+ *   key: *,
+ *   primaryKey: *,
+ *   direction: string,
+ *   backward: boolean,
+ * }}
+ */
+let Position;
+
+/**
+ * The key helpers of the backend a database was opened with.
+ *
+ * @typedef {{
+ *   IDBKeyRange: !Function,
+ *   cmp: function(*, *):number,
+ * }}
+ */
+let Keys;
+
+/**
+ * Finds the key helpers of the backend that opened the database `db`,
+ * falling back to the globals.
+ *
+ * @param {?Database} db
+ * @return {!Keys}
+ */
+export function keysOf(db) {
+  if (db && db._keys) {
+    return db._keys;
+  }
+  return {
+    IDBKeyRange,
+    cmp: (a, b) => indexedDB.cmp(a, b),
+  };
+}
+
+/**
+ * @param {string} direction
+ * @return {string} The opposite cursor direction.
+ */
+export function reverseDirection(direction) {
+  return direction.indexOf('next') === 0 ?
+    direction.replace('next', 'prev') :
+    direction.replace('prev', 'next');
+}
+
+/**
+ * Encodes `key` into a JSON compatible value, preserving its type.
+ *
+ * @param {*} key
+ * @return {!Object}
+ */
+function encodeKey(key) {
+  if (Array.isArray(key)) {
+    return { a: key.map(encodeKey) };
+  }
+  if (key instanceof Date) {
+    return { d: key.getTime() };
+  }
+  if (typeof key === 'number') {
+    // Keys may be infinite, which JSON can't represent.
+    return { n: String(key) };
+  }
+  if (typeof key === 'string') {
+    return { s: key };
+  }
+  const view = ArrayBuffer.isView(key) ?
+    new Uint8Array(key.buffer, key.byteOffset, key.byteLength) :
+    new Uint8Array(key);
+  return { b: Array.prototype.slice.call(view) };
+}
+
+/**
+ * Decodes a key encoded by `encodeKey`.
+ *
+ * @param {!Object} encoded
+ * @return {*}
+ */
+function decodeKey(encoded) {
+  if (encoded.a) {
+    return encoded.a.map(decodeKey);
+  }
+  if ('d' in encoded) {
+    return new Date(encoded.d);
+  }
+  if ('n' in encoded) {
+    return Number(encoded.n);
+  }
+  if ('s' in encoded) {
+    return encoded.s;
+  }
+  return new Uint8Array(encoded.b).buffer;
+}
+
+/**
+ * Encodes a position into an opaque page token.
+ *
+ * @param {!Position} position
+ * @return {string}
+ */
+export function encodeToken({ key, primaryKey, direction, backward }) {
+  return JSON.stringify({
+    k: encodeKey(key),
+    p: encodeKey(primaryKey),
+    d: direction,
+    b: backward ? 1 : 0,
+  });
+}
+
+/**
+ * Decodes a page token encoded by `encodeToken`.
+ *
+ * @param {string} token
+ * @return {!Position}
+ * @throws {Error} A `DataError` if the token is invalid.
+ */
+export function decodeToken(token) {
+  try {
+    const { k, p, d, b } = JSON.parse(token);
+    if (!/^(next|prev)(unique)?$/.test(d)) {
+      throw new Error(d);
+    }
+    return {
+      key: decodeKey(k),
+      primaryKey: decodeKey(p),
+      direction: d,
+      backward: !!b,
+    };
+  } catch (e) {
+    throw createError('DataError', 'The page token is invalid.', { cause: e });
+  }
+}
+
+/**
+ * Narrows the `query` to the records at or beyond `key` in the iteration
+ * direction.
+ *
+ * @param {!Keys} keys
+ * @param {*} query The key or key range of the records to page, if any.
+ * @param {*} key
+ * @param {boolean} forward Whether the records are iterated in ascending
+ *     order.
+ * @param {boolean} open Whether to exclude the records at `key`.
+ * @return {?IDBKeyRange} The narrowed range, or `null` if it is empty.
+ */
+export function narrowRange({ IDBKeyRange, cmp }, query, key, forward, open) {
+  let lower;
+  let upper;
+  let lowerOpen = false;
+  let upperOpen = false;
+  if (isKeyRange(query)) {
+    ({ lower, upper, lowerOpen, upperOpen } = query);
+  } else if (query != null) {
+    lower = upper = query;
+  }
+
+  if (forward) {
+    const order = lower === undefined ? 1 : cmp(key, lower);
+    if (order > 0 || (order === 0 && open)) {
+      lower = key;
+      lowerOpen = open;
+    }
+  } else {
+    const order = upper === undefined ? -1 : cmp(key, upper);
+    if (order < 0 || (order === 0 && open)) {
+      upper = key;
+      upperOpen = open;
+    }
+  }
+
+  if (lower === undefined) {
+    return IDBKeyRange.upperBound(upper, upperOpen);
+  }
+  if (upper === undefined) {
+    return IDBKeyRange.lowerBound(lower, lowerOpen);
+  }
+  const order = cmp(lower, upper);
+  if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) {
+    return null;
+  }
+  return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+}
+
+/**
+ * Builds a page out of the `records` found while paging.
+ *
+ * @param {!Array<{key: *, primaryKey: *, value: *}>} records The records
+ *     found, in iteration order. One more than `limit` are found if there
+ *     are more records beyond the page.
+ * @param {number} limit
+ * @param {string} direction The direction the pages are shown in.
+ * @param {?Position} position The position the page was fetched from.
+ * @return {!Page}
+ */
+export function buildPage(records, limit, direction, position) {
+  const backward = !!(position && position.backward);
+  const more = records.length > limit;
+  const found = records.slice(0, limit);
+  if (backward) {
+    found.reverse();
+  }
+
+  const token = (record, back) => encodeToken({
+    key: record.key,
+    primaryKey: record.primaryKey,
+    direction,
+    backward: back,
+  });
+
+  let nextToken = null;
+  let prevToken = null;
+  if (found.length) {
+    const first = found[0];
+    const last = found[found.length - 1];
+    if (backward) {
+      nextToken = token(last, false);
+      prevToken = more ? token(first, true) : null;
+    } else {
+      nextToken = more ? token(last, false) : null;
+      prevToken = position ? token(first, true) : null;
+    }
+  }
+
+  return {
+    items: found.map((record) => record.value),
+    nextToken,
+    prevToken,
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Database from './classes/database';
+import Request from './classes/request';
+import SyncPromise from './classes/sync-promise';
+
+/**
+ * The database that records every database opened through this library, for
+ * platforms that cannot enumerate their databases natively.
+ *
+ * @const {string}
+ */
+export const REGISTRY_NAME = '__indexed-db-as-promised__';
+
+/**
+ * The objectStore (keyed by database name) holding the registry's records.
+ *
+ * @const {string}
+ */
+const STORE = 'databases';
+
+/**
+ * Opens a connection to the registry, then runs `callback` inside a
+ * transaction on its objectStore. The connection is closed afterwards, so
+ * that the registry never blocks other tabs from being deleted.
+ *
+ * @param {!IDBFactory} factory
+ * @param {IDBTransactionMode} mode
+ * @param {function(!ObjectStore):T} callback
+ * @return {!SyncPromise<T>}
+ * @template T
+ */
+function withRegistry(factory, mode, callback) {
+  const open = factory.open(REGISTRY_NAME, 1);
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore(STORE, { keyPath: 'name' });
+  };
+
+  return new Request(open).then((database) => {
+    const db = new Database(database);
+    return db.transaction(STORE, mode).run((tx) => {
+      return callback(tx.objectStore(STORE));
+    }).then((result) => {
+      db.close();
+      return result;
+    }, (error) => {
+      db.close();
+      throw error;
+    });
+  });
+}
+
+/**
+ * Records that the database `name` exists at `version`, unless the factory
+ * can enumerate its databases natively. Failing to update the
+ * registry never fails the open, so errors are swallowed.
+ *
+ * @param {!IDBFactory} factory
+ * @param {string} name
+ * @param {number} version
+ * @return {!SyncPromise<undefined>}
+ */
+export function register(factory, name, version) {
+  if (nativelySupported(factory)) {
+    return SyncPromise.resolve();
+  }
+
+  return withRegistry(factory, 'readwrite', (store) => {
+    store.put({ name, version });
+  }).catch(() => {});
+}
+
+/**
+ * Removes the database `name` from the registry, unless the factory can
+ * enumerate its databases natively. Failing to update the
+ * registry never fails the delete, so errors are swallowed.
+ *
+ * @param {!IDBFactory} factory
+ * @param {string} name
+ * @return {!SyncPromise<undefined>}
+ */
+export function unregister(factory, name) {
+  if (nativelySupported(factory)) {
+    return SyncPromise.resolve();
+  }
+
+  return withRegistry(factory, 'readwrite', (store) => {
+    store.delete(name);
+  }).catch(() => {});
+}
+
+/**
+ * Lists every database recorded in the registry.
+ *
+ * @param {!IDBFactory} factory
+ * @return {!SyncPromise<!Array<{name: string, version: number}>>}
+ */
+export function registered(factory) {
+  return withRegistry(factory, 'readonly', (store) => {
+    return store.openCursor().while((cursor) => {
+      const { name, version } = cursor.value;
+      return { name, version };
+    });
+  });
+}
+
+/**
+ * Whether the factory can enumerate its databases natively, making the
+ * registry unnecessary.
+ *
+ * @param {!IDBFactory} factory
+ * @return {boolean}
+ */
+export function nativelySupported(factory) {
+  return typeof factory.databases === 'function';
+}
+
+/**
+ * Lists every database, using native enumeration where supported.
+ *
+ * @param {!IDBFactory} factory
+ * @return {!SyncPromise<!Array<{name: string, version: number}>>}
+ */
+export function databases(factory) {
+  if (!nativelySupported(factory)) {
+    return registered(factory);
+  }
+
+  return SyncPromise.resolve(factory.databases()).then((infos) => {
+    return infos.map(({ name, version }) => ({ name, version }));
+  });
+}
@@ -0,0 +1,181 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from './errors';
+
+/**
+ * The declaration of an index on an objectStore. The `keyPath` defaults to the
+ * index's name.
+ *
+ * @typedef {{
+ *   keyPath: (string|!Array<string>|undefined),
+ *   unique: (boolean|undefined),
+ *   multiEntry: (boolean|undefined),
+ * }}
+ */
+let IndexSchema;
+
+/**
+ * The declaration of an objectStore and its indexes.
+ *
+ * @typedef {{
+ *   keyPath: (string|!Array<string>|null|undefined),
+ *   autoIncrement: (boolean|undefined),
+ *   indexes: (!Object<string, !IndexSchema>|undefined),
+ * }}
+ */
+let StoreSchema;
+
+/**
+ * A declarative schema of the database, mapping objectStore names to their
+ * declarations. Any objectStore not declared is deleted.
+ *
+ * @typedef {!Object<string, !StoreSchema>}
+ */
+let Schema;
+
+/**
+ * Converts a DOMStringList into an array.
+ *
+ * @param {!DOMStringList} list
+ * @return {!Array<string>}
+ */
+function toArray(list) {
+  return Array.prototype.slice.call(list);
+}
+
+/**
+ * Normalizes a keyPath, so that the declared and the live keyPaths may be
+ * compared.
+ *
+ * @param {*} keyPath
+ * @return {string|!Array<string>|null}
+ */
+function normalizeKeyPath(keyPath) {
+  if (keyPath == null) {
+    return null;
+  }
+  if (typeof keyPath === 'string') {
+    return keyPath;
+  }
+  return toArray(keyPath);
+}
+
+/**
+ * Whether the two keyPaths are equivalent.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ */
+function sameKeyPath(a, b) {
+  a = normalizeKeyPath(a);
+  b = normalizeKeyPath(b);
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((path, i) => path === b[i]);
+  }
+  return a === b;
+}
+
+/**
+ * Creates, recreates, or deletes the indexes of `store` so that they match the
+ * declared `indexes`. Indexes are derived entirely from the records stored, so
+ * it is always safe to recreate one whose declaration changed.
+ *
+ * @param {!VersionChangeObjectStore} store
+ * @param {!Object<string, !IndexSchema>} indexes
+ */
+function diffIndexes(store, indexes) {
+  toArray(store.indexNames).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(indexes, name)) {
+      store.deleteIndex(name);
+    }
+  });
+
+  Object.keys(indexes).forEach((name) => {
+    const {
+      keyPath = name,
+      unique = false,
+      multiEntry = false,
+    } = indexes[name];
+
+    if (store.indexNames.contains(name)) {
+      const index = store.index(name);
+      if (sameKeyPath(index.keyPath, keyPath) &&
+          index.unique === unique &&
+          index.multiEntry === multiEntry) {
+        return;
+      }
+      store.deleteIndex(name);
+    }
+
+    store.createIndex(name, keyPath, { unique, multiEntry });
+  });
+}
+
+/**
+ * Computes the difference between the declared `schema` and the live
+ * database, creating and deleting objectStores and indexes as needed. Note
+ * that this may only be called inside the `upgrade` handler provided to
+ * `IndexedDBP#open`.
+ *
+ * @param {!VersionChangeDatabase} db
+ * @param {!VersionChangeTransaction} transaction
+ * @param {!Schema} schema
+ * @throws {Error} A `SchemaError` if a live objectStore's `keyPath` or
+ *     `autoIncrement` differs from its declaration, since changing those
+ *     would require migrating every record.
+ */
+export default function applySchema(db, transaction, schema) {
+  toArray(db.objectStoreNames).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+      db.deleteObjectStore(name);
+    }
+  });
+
+  Object.keys(schema).forEach((name) => {
+    const {
+      keyPath = null,
+      autoIncrement = false,
+      indexes = {},
+    } = schema[name];
+    let store;
+
+    if (db.objectStoreNames.contains(name)) {
+      store = transaction.objectStore(name);
+
+      if (!sameKeyPath(store.keyPath, keyPath)) {
+        throw createError(
+          'SchemaError',
+          `The keyPath of objectStore "${name}" cannot be changed.`,
+          { objectStore: name, keyPath: store.keyPath }
+        );
+      }
+      if (store.autoIncrement !== autoIncrement) {
+        throw createError(
+          'SchemaError',
+          `The autoIncrement of objectStore "${name}" cannot be changed.`,
+          { objectStore: name, autoIncrement: store.autoIncrement }
+        );
+      }
+    } else {
+      store = db.createObjectStore(name, { keyPath, autoIncrement });
+    }
+
+    diffIndexes(store, indexes);
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import SyncPromise from './classes/sync-promise';
+import createError from './errors';
+
+/**
+ * The reason an aborted `signal` rejects with: the signal's own `reason`, or
+ * an `AbortError` where the platform does not provide one.
+ *
+ * @param {!AbortSignal} signal
+ * @return {*}
+ */
+export function abortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+  return createError('AbortError', 'The operation was aborted.');
+}
+
+/**
+ * Aborts the native `transaction`, unless it has already finished.
+ *
+ * @param {?IDBTransaction} transaction
+ */
+export function abortTransaction(transaction) {
+  if (!transaction) {
+    return;
+  }
+  try {
+    transaction.abort();
+  } catch (e) {
+    // The transaction already committed or aborted, so there's nothing left
+    // to cancel.
+  }
+}
+
+/**
+ * Starts some work, settling with its result unless `signal` aborts first.
+ * In that case, `abort` is called to cancel the work and the returned
+ * Promise-like rejects with the signal's reason. If the signal has already
+ * aborted, the work is never started.
+ *
+ * @param {?AbortSignal|undefined} signal
+ * @param {function()} abort Cancels the work.
+ * @param {function():(T|!SyncPromise<T>)} start Starts the work.
+ * @return {!SyncPromise<T>}
+ * @template T
+ */
+export function abortable(signal, abort, start) {
+  if (!signal) {
+    return SyncPromise.resolve(start());
+  }
+  if (signal.aborted) {
+    abort();
+    return SyncPromise.reject(abortReason(signal));
+  }
+
+  return new SyncPromise((resolve, reject) => {
+    let settled = false;
+    const listener = () => {
+      if (!settled) {
+        settled = true;
+        reject(abortReason(signal));
+        abort();
+      }
+    };
+    const settle = (callback) => (value) => {
+      signal.removeEventListener('abort', listener);
+      if (!settled) {
+        settled = true;
+        callback(value);
+      }
+    };
+
+    signal.addEventListener('abort', listener);
+    new SyncPromise((r) => r(start())).then(settle(resolve), settle(reject));
+  });
+}
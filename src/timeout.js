@@ -0,0 +1,146 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import SyncPromise from './classes/sync-promise';
+
+/**
+ * A report of a transaction that is taking longer than its `warnAfter`
+ * threshold: its scope and mode, how long (in milliseconds) it has been
+ * running, and how many of its requests are still pending.
+ *
+ * @typedef {{
+ *   scope: !Array<string>,
+ *   mode: string,
+ *   elapsed: number,
+ *   pending: number,
+ * }}
+ */
+let SlowTransaction;
+
+/**
+ * The options limiting how long a transaction may run. `timeout` is the
+ * milliseconds after which the transaction is aborted. `warnAfter` is the
+ * milliseconds after which `onSlow` is called with a report of the
+ * transaction. A limit of `0` (or `Infinity`) disables it.
+ *
+ * @typedef {{
+ *   timeout: (number|undefined),
+ *   warnAfter: (number|undefined),
+ *   onSlow: (?function(!SlowTransaction)|undefined),
+ * }}
+ */
+let TimeoutOptions;
+
+/**
+ * The limits applied to every transaction that does not provide its own.
+ *
+ * @const {!TimeoutOptions}
+ */
+const defaults = {
+  timeout: 0,
+  warnAfter: 0,
+  onSlow: null,
+};
+
+/**
+ * Sets the limits applied to every transaction's `run` block, unless it
+ * provides its own. Only the given options are changed.
+ *
+ * @param {!TimeoutOptions} options
+ */
+export function configureTransactions(options) {
+  Object.keys(defaults).forEach((key) => {
+    if (options[key] !== undefined) {
+      defaults[key] = options[key];
+    }
+  });
+}
+
+/**
+ * Fills in the limits missing from `options` with the global defaults.
+ *
+ * @param {!TimeoutOptions} options
+ * @return {!TimeoutOptions}
+ */
+export function withDefaults({ timeout, warnAfter, onSlow }) {
+  return {
+    timeout: timeout === undefined ? defaults.timeout : timeout,
+    warnAfter: warnAfter === undefined ? defaults.warnAfter : warnAfter,
+    onSlow: onSlow === undefined ? defaults.onSlow : onSlow,
+  };
+}
+
+/**
+ * @param {number} limit
+ * @return {boolean} Whether `limit` is an enabled limit.
+ */
+function isLimit(limit) {
+  return limit > 0 && limit < Infinity;
+}
+
+/**
+ * Watches the `promise` of a transaction's work. If it has not settled
+ * within `timeout` milliseconds, the returned Promise-like rejects with the
+ * error returned by `onTimeout` (which is also responsible for aborting the
+ * transaction). If it has not settled within `warnAfter` milliseconds,
+ * `warn` is called with the elapsed milliseconds.
+ *
+ * @param {!SyncPromise<T>} promise
+ * @param {number} timeout
+ * @param {function():*} onTimeout
+ * @param {number} warnAfter
+ * @param {?function(number)} warn
+ * @return {!SyncPromise<T>}
+ * @template T
+ */
+export function watch(promise, timeout, onTimeout, warnAfter, warn) {
+  const warns = !!warn && isLimit(warnAfter);
+  if (!isLimit(timeout) && !warns) {
+    return promise;
+  }
+
+  const start = Date.now();
+  return new SyncPromise((resolve, reject) => {
+    let settled = false;
+    const timers = [];
+
+    if (isLimit(timeout)) {
+      timers.push(setTimeout(() => {
+        if (!settled) {
+          settled = true;
+          timers.forEach(clearTimeout);
+          reject(onTimeout());
+        }
+      }, timeout));
+    }
+    if (warns) {
+      timers.push(setTimeout(() => {
+        if (!settled) {
+          warn(Date.now() - start);
+        }
+      }, warnAfter));
+    }
+
+    const settle = (callback) => (value) => {
+      timers.forEach(clearTimeout);
+      if (!settled) {
+        settled = true;
+        callback(value);
+      }
+    };
+    promise.then(settle(resolve), settle(reject));
+  });
+}
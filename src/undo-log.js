@@ -0,0 +1,224 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Request from './classes/request';
+import SyncPromise from './classes/sync-promise';
+import createError from './errors';
+
+/**
+ * A point in a transaction's undo log, which the transaction may later be
+ * rolled back to. Savepoints are opaque.
+ *
+ * @typedef {{
+ *   _position: number,
+ * }}
+ */
+let Savepoint;
+
+/**
+ * A logged write: the records in the native `store` matching `query` before
+ * the write was issued, and a promise that resolves once they are known.
+ *
+ * @typedef {{
+ *   store: !IDBObjectStore,
+ *   query: *,
+ *   keys: !Array<*>,
+ *   values: !Array<*>,
+ *   ready: !SyncPromise<undefined>,
+ * }}
+ */
+let Entry;
+
+/**
+ * Whether `query` is a key range, rather than a single key.
+ *
+ * @param {*} query
+ * @return {boolean}
+ */
+export function isKeyRange(query) {
+  return query != null && 'lowerOpen' in Object(query);
+}
+
+/**
+ * Reads the keys and values of the records in the native `store` matching
+ * `query` (or all of them, if it is `null`). The read is issued before any
+ * later request against the store, so it observes the records as they were.
+ *
+ * @param {!IDBObjectStore} store
+ * @param {*} query
+ * @return {!SyncPromise<{keys: !Array<*>, values: !Array<*>}>}
+ * @throws {Error} A `NotSupportedError` if reading a key range is not
+ *     supported.
+ */
+function read(store, query) {
+  if (typeof store.getAll === 'function') {
+    return SyncPromise.all([
+      new Request(store.getAllKeys(query)),
+      new Request(store.getAll(query)),
+    ]).then(([keys, values]) => ({ keys, values }));
+  }
+
+  // Without `getAll`, a key range can't be read in a single request.
+  if (query == null || isKeyRange(query)) {
+    throw createError(
+      'NotSupportedError',
+      'Undoing a write to a key range requires IDBObjectStore#getAll.'
+    );
+  }
+
+  return SyncPromise.all([
+    new Request(store.count(query)),
+    new Request(store.get(query)),
+  ]).then(([count, value]) => {
+    return count ? { keys: [query], values: [value] } : { keys: [], values: [] };
+  });
+}
+
+/**
+ * Issues the requests to undo the logged write `entry`, restoring the records
+ * it replaced.
+ *
+ * @param {!Entry} entry
+ * @return {!Array<!IDBRequest>}
+ */
+function undo(entry) {
+  const { store, query, keys, values } = entry;
+  const requests = [];
+  if (query != null) {
+    requests.push(store.delete(query));
+  }
+  for (let i = 0; i < keys.length; i++) {
+    requests.push(store.keyPath == null ? store.put(values[i], keys[i]) : store.put(values[i]));
+  }
+  return requests;
+}
+
+/**
+ * A log of the records replaced by a transaction's writes, so that writes
+ * made after a savepoint can be undone while the rest of the transaction
+ * commits. Writes are only logged while there is a savepoint to roll back to.
+ */
+export default class UndoLog {
+  constructor() {
+    /**
+     * @const {!Array<!Entry>}
+     */
+    this._entries = [];
+
+    /**
+     * The savepoints that may still be rolled back to, oldest first.
+     *
+     * @const {!Array<!Savepoint>}
+     */
+    this._savepoints = [];
+  }
+
+  /**
+   * Creates a savepoint at the current end of the log.
+   *
+   * @return {!Savepoint}
+   */
+  savepoint() {
+    const savepoint = { _position: this._entries.length };
+    this._savepoints.push(savepoint);
+    return savepoint;
+  }
+
+  /**
+   * Logs a write against the native `store`, capturing the records it
+   * replaces before issuing it.
+   *
+   * @param {!IDBObjectStore} store
+   * @param {*} query The key (or key range) of the records the write
+   *     replaces, `null` if it replaces every record, or `undefined` if it
+   *     only adds a new record. In that case, the new record's key is logged
+   *     once the write succeeds.
+   * @param {function():!IDBRequest} issue Issues the write.
+   * @return {!IDBRequest} The write's request.
+   */
+  write(store, query, issue) {
+    if (!this._savepoints.length) {
+      return issue();
+    }
+
+    let ready = SyncPromise.resolve({ keys: [], values: [] });
+    if (query !== undefined) {
+      try {
+        ready = read(store, query);
+      } catch (e) {
+        // Issuing the write will fail with a clearer error if the query is
+        // invalid, or the transaction is no longer active.
+        if (e.name === 'NotSupportedError') {
+          throw e;
+        }
+        return issue();
+      }
+    }
+
+    const request = issue();
+    const entry = { store, query, keys: [], values: [], ready: null };
+    entry.ready = ready.then(({ keys, values }) => {
+      entry.keys = keys;
+      entry.values = values;
+      if (query !== undefined) {
+        return undefined;
+      }
+      return new SyncPromise((resolve) => {
+        // Listen, rather than setting `onsuccess`, since the request is also
+        // wrapped by the caller.
+        request.addEventListener('success', () => {
+          entry.query = request.result;
+          resolve();
+        });
+        request.addEventListener('error', () => resolve());
+      });
+    });
+    this._entries.push(entry);
+    return request;
+  }
+
+  /**
+   * Undoes every write logged since `savepoint`, in reverse order. Later
+   * savepoints are discarded, but `savepoint` may be rolled back to again.
+   *
+   * @param {!Savepoint} savepoint
+   * @return {!SyncPromise<undefined>} A Promise-like that resolves once the
+   *     writes are undone.
+   * @throws {Error} An `InvalidStateError` if `savepoint` was discarded by
+   *     rolling back to an earlier savepoint, or belongs to another
+   *     transaction.
+   */
+  rollbackTo(savepoint) {
+    const index = this._savepoints.indexOf(savepoint);
+    if (index === -1) {
+      throw createError(
+        'InvalidStateError',
+        'The savepoint does not belong to this transaction, or was discarded ' +
+        'by rolling back to an earlier savepoint.'
+      );
+    }
+
+    this._savepoints.length = index + 1;
+    const entries = this._entries.splice(savepoint._position);
+    return SyncPromise.all(entries.map((entry) => entry.ready)).then(() => {
+      let requests = [];
+      for (let i = entries.length - 1; i >= 0; i--) {
+        requests = requests.concat(undo(entries[i]));
+      }
+      return SyncPromise.all(requests.map((request) => new Request(request)));
+    }).then(() => undefined);
+  }
+}
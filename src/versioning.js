@@ -0,0 +1,94 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import createError from './errors';
+
+/**
+ * The result of a compare-and-swap write: the key the record was written to,
+ * and the record's new version.
+ *
+ * @typedef {{
+ *   key: *,
+ *   version: number,
+ * }}
+ */
+let VersionedWrite;
+
+/**
+ * Finds the version field of the objectStore `store`, as configured by the
+ * `versionFields` option of `IndexedDBP#open`.
+ *
+ * @param {!Transaction} transaction The wrapped transaction writing to the
+ *     objectStore.
+ * @param {string} store The objectStore's name.
+ * @return {string}
+ * @throws {TypeError} If the objectStore has no version field.
+ */
+export function versionField(transaction, store) {
+  const fields = transaction.db && transaction.db._versionFields;
+  const field = fields && fields[store];
+  if (!field) {
+    throw new TypeError(`The objectStore "${store}" has no version field.`);
+  }
+  return field;
+}
+
+/**
+ * Compares the version of the `current` stored record with the `expected`
+ * version. A missing record is at version 0.
+ *
+ * @param {string} store The objectStore's name.
+ * @param {string} field The version field.
+ * @param {*} key The record's key.
+ * @param {*} current The stored record, or `undefined` if there is none.
+ * @param {number} expected
+ * @return {number} The record's next version.
+ * @throws {Error} A `ConflictError` if the versions differ, with the `key`,
+ *     the `expected` version, and the `current` record and its `version`.
+ */
+export function nextVersion(store, field, key, current, expected) {
+  const version = current === undefined ? 0 : Number(current[field]) || 0;
+  if (version !== expected) {
+    throw createError(
+      'ConflictError',
+      `The record "${key}" in the objectStore "${store}" is at version ` +
+      `${version}, not the expected version ${expected}.`,
+      { key, expected, version, current }
+    );
+  }
+  return version + 1;
+}
+
+/**
+ * Copies `record`, setting its version `field` to `version`.
+ *
+ * @param {!Object} record
+ * @param {string} field
+ * @param {number} version
+ * @return {!Object}
+ * @throws {TypeError} If the record is not an object.
+ */
+export function withVersion(record, field, version) {
+  if (record !== Object(record)) {
+    throw new TypeError('Only object records can be versioned.');
+  }
+  const copy = {};
+  Object.keys(record).forEach((key) => {
+    copy[key] = record[key];
+  });
+  copy[field] = version;
+  return copy;
+}
@@ -16,6 +16,8 @@
 
 import { expect } from 'chai';
 import iDb from '../src/index';
+import AbortController from './mock/abort-controller';
+import useMemoryDatabase from './mock/memory';
 
 describe('Cursor', () => {
   let db;
@@ -196,6 +198,82 @@ describe('Cursor', () => {
     });
   });
 
+  describe('#request', () => {
+    it('returns the request that opened the cursor', () => {
+      return test((store) => {
+        const request = store.openCursor();
+        return request.iterate((cursor) => {
+          expect(cursor.request).to.equal(request);
+        });
+      });
+    });
+  });
+
+  describe('#continuePrimaryKey', () => {
+    it('throws where it is not supported', () => {
+      return test((store) => {
+        return store.index('name').openCursor().iterate((cursor) => {
+          let error;
+          try {
+            cursor.continuePrimaryKey('name1', 1);
+          } catch (e) {
+            error = e;
+          }
+          expect(error.name).to.equal('NotSupportedError');
+          expect(cursor.canContinuePrimaryKey()).to.be.false();
+        });
+      });
+    });
+
+    describe('where it is supported', () => {
+      const memory = useMemoryDatabase((db) => {
+        const store = db.createObjectStore('test', { autoIncrement: true });
+        store.createIndex('name', 'name');
+      }, (db) => {
+        return db.transaction(['test'], 'readwrite').run((tx) => {
+          const store = tx.objectStore('test');
+          ['a', 'b', 'a', 'b', 'a'].forEach((name) => store.add({ name }));
+        });
+      });
+
+      it('resumes from a key and primary key', () => {
+        const positions = [];
+        return memory.db.transaction(['test']).run((tx) => {
+          const index = tx.objectStore('test').index('name');
+          return index.openCursor().iterate((cursor) => {
+            positions.push(`${cursor.key}${cursor.primaryKey}`);
+            if (positions.length === 1) {
+              expect(cursor.canContinuePrimaryKey()).to.be.true();
+              cursor.continuePrimaryKey('a', 5);
+            } else {
+              cursor.continue();
+            }
+          });
+        }).then(() => {
+          expect(positions).to.deep.equal(['a1', 'a5', 'b2', 'b4']);
+        });
+      });
+    });
+  });
+
+  describe('opened by openKeyCursor', () => {
+    it('only provides the keys', () => {
+      const keys = [];
+      return test((store) => {
+        return store.index('name').openKeyCursor().iterate((cursor) => {
+          keys.push(cursor.key);
+          expect(cursor).to.not.have.property('value');
+          expect(cursor.update).to.be.undefined();
+          expect(cursor.delete).to.be.undefined();
+          cursor.continue();
+        });
+      }).then(() => {
+        expect(keys).to.have.length(9);
+        expect(keys[0]).to.equal('name1');
+      });
+    });
+  });
+
   describe('#update', () => {
     it('updates the current record', () => {
       return propertyTest((cursor) => {
@@ -221,6 +299,43 @@ describe('Cursor', () => {
     });
   });
 
+  describe('#updateIfVersion', () => {
+    beforeEach(() => {
+      db.close();
+      return iDb.open('test', 1, {
+        versionFields: { test: 'version' },
+      }).then((d) => {
+        db = d;
+      });
+    });
+
+    it('updates the current record if the versions match', () => {
+      return propertyTest((cursor) => {
+        const { i } = cursor.value;
+        return cursor.updateIfVersion({ i, name: 'test' }, 0);
+      }).then((results) => {
+        expect(results).to.deep.equal([{ key: 1, version: 1 }]);
+        return db.transaction(['test'], 'readonly').run((tx) => {
+          return tx.objectStore('test').get(1);
+        });
+      }).then((result) => {
+        expect(result).to.deep.equal({ i: 1, name: 'test', version: 1 });
+      });
+    });
+
+    it('rejects with a ConflictError if the versions differ', () => {
+      return propertyTest((cursor) => {
+        return cursor.updateIfVersion({ name: 'test' }, 1).then(() => {
+          expect.fail();
+        }, (error) => {
+          expect(error.name).to.equal('ConflictError');
+          expect(error.version).to.equal(0);
+          expect(error.current).to.deep.equal({ i: 1, name: 'name1' });
+        });
+      });
+    });
+  });
+
   describe('#delete', () => {
     it('deletes the current record', () => {
       return propertyTest((cursor) => {
@@ -554,5 +669,272 @@ describe('Cursor', () => {
         });
       });
     });
+
+    describe('when given a signal', () => {
+      it('stops iterating and rejects with the reason once aborted', () => {
+        const controller = new AbortController();
+        let calls = 0;
+        return expect(test((store) => {
+          return store.openCursor().while((cursor) => {
+            calls++;
+            if (cursor.value.i === 3) {
+              controller.abort(new Error('cancelled'));
+            }
+          }, { signal: controller.signal });
+        })).to.eventually.be.rejectedWith('cancelled').then(() => {
+          expect(calls).to.equal(3);
+        });
+      });
+    });
+  });
+
+  describe('#iterator', () => {
+    // Drains the iterator, calling `body` with every cursor until it returns
+    // false.
+    function drain(iterator, body) {
+      return iterator.next().then(({ value, done }) => {
+        if (done || body(value) === false) {
+          return iterator.return();
+        }
+        return drain(iterator, body);
+      });
+    }
+
+    it('iterates every record, continuing automatically', () => {
+      const values = [];
+      return test((store) => {
+        return drain(store.openCursor().iterator(), (cursor) => {
+          values.push(cursor.value.i);
+        });
+      }).then(() => {
+        expect(values).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      });
+    });
+
+    it('does not continue a manually advanced cursor', () => {
+      const values = [];
+      return test((store) => {
+        return drain(store.openCursor().iterator(), (cursor) => {
+          values.push(cursor.value.i);
+          cursor.advance(3);
+        });
+      }).then(() => {
+        expect(values).to.deep.equal([1, 4, 7]);
+      });
+    });
+
+    it('stops the cursor once returned', () => {
+      const values = [];
+      let iterator;
+      return test((store) => {
+        iterator = store.openCursor().iterator();
+        return drain(iterator, (cursor) => {
+          values.push(cursor.value.i);
+          return values.length < 3;
+        });
+      }).then(() => {
+        expect(values).to.deep.equal([1, 2, 3]);
+        return iterator.next();
+      }).then((result) => {
+        expect(result.done).to.be.true();
+      });
+    });
+
+    it('supports async iteration', () => {
+      const values = [];
+      return test((store) => {
+        const iterator = store.openCursor()[Symbol.asyncIterator]();
+        const step = () => {
+          return Promise.resolve(iterator.next()).then(({ value, done }) => {
+            if (!done) {
+              values.push(value.value.i);
+              return step();
+            }
+            return undefined;
+          });
+        };
+        return step();
+      }).then(() => {
+        expect(values).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      });
+    });
+
+    it('does not replace the request\'s own result', () => {
+      return test((store) => {
+        const request = store.openCursor();
+        const original = request._promise;
+        const iterator = request.iterator();
+        return iterator.next().then(() => iterator.next()).then(() => {
+          expect(request._promise).to.equal(original);
+          return iterator.return();
+        });
+      });
+    });
+
+    describe('in a for await loop', () => {
+      // Babel can't parse `for await`, so the loop is compiled natively.
+      let loop = null;
+      try {
+        // eslint-disable-next-line no-new-func
+        loop = new Function('store', `
+          return (async () => {
+            const names = [];
+            for await (const cursor of store.openCursor()) {
+              names.push(cursor.value.name);
+            }
+            await store.add({ name: 'c' });
+            return names;
+          })();
+        `);
+      } catch (e) {
+        // Async iteration is not supported.
+      }
+
+      const memory = useMemoryDatabase((db) => {
+        db.createObjectStore('test', { autoIncrement: true });
+      }, (db) => {
+        return db.transaction(['test'], 'readwrite').run((tx) => {
+          const store = tx.objectStore('test');
+          ['a', 'b', 'a'].forEach((name) => store.add({ name }));
+        });
+      });
+
+      (loop ? it : it.skip)('keeps the transaction active', () => {
+        return memory.db.transaction(['test'], 'readwrite').run((tx) => {
+          return loop(tx.objectStore('test'));
+        }).then((names) => {
+          expect(names).to.deep.equal(['a', 'b', 'a']);
+          return memory.db.transaction(['test']).run((tx) => tx.objectStore('test').count());
+        }).then((count) => {
+          expect(count).to.equal(4);
+        });
+      });
+    });
+  });
+
+  describe('pipeline', () => {
+    it('filters and maps the values lazily', () => {
+      return test((store) => {
+        return store.openCursor()
+          .filter((value) => value.i % 2)
+          .map((value) => value.name)
+          .toArray();
+      }).then((names) => {
+        expect(names).to.deep.equal(['name1', 'name3', 'name5', 'name7', 'name9']);
+      });
+    });
+
+    it('stops the cursor once enough values are taken', () => {
+      const seen = [];
+      return test((store) => {
+        return store.openCursor()
+          .map((value) => {
+            seen.push(value.i);
+            return value.i;
+          })
+          .skip(2)
+          .take(3)
+          .toArray();
+      }).then((values) => {
+        expect(values).to.deep.equal([3, 4, 5]);
+        expect(seen).to.deep.equal([1, 2, 3, 4, 5]);
+      });
+    });
+
+    it('waits for Promise-like results', () => {
+      return test((store) => {
+        return store.openCursor()
+          .filter((value) => store.count(value.i).then((count) => count > 0 && value.i > 7))
+          .map((value) => store.get(value.i))
+          .toArray();
+      }).then((values) => {
+        expect(values.map((value) => value.i)).to.deep.equal([8, 9]);
+      });
+    });
+
+    it('passes the cursor to each callback', () => {
+      return test((store) => {
+        return store.index('name').openCursor()
+          .map((value, cursor) => cursor.key)
+          .take(2)
+          .toArray();
+      }).then((keys) => {
+        expect(keys).to.deep.equal(['name1', 'name2']);
+      });
+    });
+
+    it('iterates the keys of a key cursor', () => {
+      return test((store) => {
+        return store.index('name').openKeyCursor().skip(7).toArray();
+      }).then((keys) => {
+        expect(keys).to.deep.equal(['name8', 'name9']);
+      });
+    });
+
+    describe('#reduce', () => {
+      it('reduces every value', () => {
+        return test((store) => {
+          return store.openCursor().reduce((sum, value) => sum + value.i, 0);
+        }).then((sum) => {
+          expect(sum).to.equal(45);
+        });
+      });
+
+      it('resolves with the initial value if nothing is iterated', () => {
+        return test((store) => {
+          return store.openCursor(100).reduce((sum, value) => sum + value.i, 0);
+        }).then((sum) => {
+          expect(sum).to.equal(0);
+        });
+      });
+
+      it('rejects with a thrown error', () => {
+        const error = new Error('test');
+        return expect(test((store) => {
+          return store.openCursor().reduce(() => {
+            throw error;
+          }, 0);
+        })).to.be.rejectedWith(error);
+      });
+    });
+
+    describe('#first', () => {
+      it('resolves with the first value', () => {
+        const seen = [];
+        return test((store) => {
+          return store.openCursor()
+            .filter((value) => {
+              seen.push(value.i);
+              return value.i > 3;
+            })
+            .first();
+        }).then((value) => {
+          expect(value.i).to.equal(4);
+          expect(seen).to.deep.equal([1, 2, 3, 4]);
+        });
+      });
+
+      it('resolves with undefined if there is no value', () => {
+        return test((store) => {
+          return store.openCursor().filter(() => false).first();
+        }).then((value) => {
+          expect(value).to.be.undefined();
+        });
+      });
+    });
+
+    describe('#forEach', () => {
+      it('calls the callback with every value', () => {
+        const values = [];
+        return test((store) => {
+          return store.openCursor().forEach((value) => {
+            values.push(value.i);
+          });
+        }).then((result) => {
+          expect(result).to.be.undefined();
+          expect(values).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        });
+      });
+    });
   });
 });
@@ -15,7 +15,9 @@
  */
 
 import { expect } from 'chai';
-import iDb from '../src/index';
+import iDb, { createIndexedDBP } from '../src/index';
+import createMemoryBackend from '../src/memory';
+import { requestClose } from '../src/broadcast';
 
 describe('Database', () => {
   let db;
@@ -105,6 +107,91 @@ describe('Database', () => {
     });
   });
 
+  describe('#renameObjectStore', () => {
+    beforeEach(() => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        store.put({ id: 1 }, 'a');
+        store.put({ id: 2 }, 'b');
+      }).then(() => {
+        db.close();
+      });
+    });
+
+    function upgrade(cb) {
+      return iDb.open('test', 2, {
+        upgrade: cb,
+      });
+    }
+
+    it('throws error outside upgrade event', () => {
+      return iDb.open('test', 1).then((db) => {
+        expect(() => {
+          db.renameObjectStore('test', 'renamed');
+        }).to.throw(Error);
+      });
+    });
+
+    it('renames the objectStore', () => {
+      return upgrade((db) => {
+        return db.renameObjectStore('test', 'renamed').then((store) => {
+          expect(store.name).to.equal('renamed');
+          expect(db.objectStoreNames).to.deep.equal(['renamed']);
+        });
+      }).then((db) => {
+        expect(db.objectStoreNames).to.deep.equal(['renamed']);
+      });
+    });
+
+    it('keeps the transaction objectStoreNames in sync', () => {
+      return upgrade((db, { transaction }) => {
+        return db.renameObjectStore('test', 'renamed').then(() => {
+          expect(transaction.objectStoreNames).to.deep.equal(['renamed']);
+        });
+      });
+    });
+
+    it('preserves records and their keys', () => {
+      return upgrade((db) => {
+        return db.renameObjectStore('test', 'renamed');
+      }).then((db) => {
+        return db.transaction('renamed').run((tx) => {
+          const store = tx.objectStore('renamed');
+          return store.openCursor().while((cursor) => {
+            return [cursor.key, cursor.value];
+          });
+        });
+      }).then((records) => {
+        expect(records).to.deep.equal([
+          ['a', { id: 1 }],
+          ['b', { id: 2 }],
+        ]);
+      });
+    });
+
+    it('preserves parameters and indexes', () => {
+      return upgrade((db) => {
+        const store = db.createObjectStore('people', {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        store.createIndex('name', 'name', { unique: true });
+        store.put({ name: 'Jane' });
+        return db.renameObjectStore('people', 'persons');
+      }).then((db) => {
+        return db.transaction('persons').run((tx) => {
+          const store = tx.objectStore('persons');
+          expect(store.keyPath).to.equal('id');
+          expect(store.autoIncrement).to.be.true();
+          expect(store.index('name').unique).to.be.true();
+          return store.index('name').get('Jane');
+        });
+      }).then((record) => {
+        expect(record).to.deep.equal({ id: 1, name: 'Jane' });
+      });
+    });
+  });
+
   describe('#transaction', () => {
     it('opens up a new transaction', () => {
       return db.transaction('test').run((tx) => {
@@ -120,5 +207,251 @@ describe('Database', () => {
         db.transaction('test', 'bad-perms');
       }).to.throw(Error);
     });
+
+    it('defaults the durability hint', () => {
+      expect(db.transaction('test').durability).to.equal('default');
+    });
+
+    it('forwards the durability hint where supported', () => {
+      const memory = createIndexedDBP(createMemoryBackend());
+      return memory.open('test', 1, {
+        upgrade(db) {
+          db.createObjectStore('test');
+        },
+      }).then((db) => {
+        const transaction = db.transaction('test', 'readwrite', { durability: 'relaxed' });
+        expect(transaction.durability).to.equal('relaxed');
+        return transaction.run((tx) => tx.objectStore('test').put(1, 1)).then(() => {
+          db.close();
+        });
+      });
+    });
+  });
+
+  describe('#run', () => {
+    function transient(name) {
+      const error = new Error(name);
+      error.name = name;
+      return error;
+    }
+
+    it('runs the callback inside a transaction', () => {
+      return db.run('test', 'readwrite', (tx, attempt) => {
+        expect(attempt).to.equal(1);
+        return tx.objectStore('test').add('test', 'test');
+      }).then((key) => {
+        expect(key).to.equal('test');
+      });
+    });
+
+    it('retries transient errors in a fresh transaction', () => {
+      const attempts = [];
+      return db.run('test', 'readwrite', (tx, attempt) => {
+        attempts.push(attempt);
+        const store = tx.objectStore('test');
+        return store.count().then((count) => {
+          expect(count).to.equal(0);
+          return store.add('test', 'test');
+        }).then(() => {
+          if (attempt === 1) {
+            throw transient('UnknownError');
+          }
+          return attempt;
+        });
+      }, { backoff: () => 0 }).then((result) => {
+        expect(result).to.equal(2);
+        expect(attempts).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('rejects once the retries are exhausted', () => {
+      let calls = 0;
+      return db.run('test', 'readonly', () => {
+        calls++;
+        throw transient('TransactionInactiveError');
+      }, { retries: 2, backoff: () => 0 }).then(() => {
+        throw new Error('should have rejected');
+      }, (error) => {
+        expect(error.name).to.equal('TransactionInactiveError');
+        expect(calls).to.equal(3);
+      });
+    });
+
+    it('does not retry other errors', () => {
+      let calls = 0;
+      return db.run('test', 'readonly', () => {
+        calls++;
+        throw new Error('permanent');
+      }, { backoff: () => 0 }).catch((error) => {
+        expect(error.message).to.equal('permanent');
+        expect(calls).to.equal(1);
+      });
+    });
+
+    it('retries errors chosen by retryOn', () => {
+      return db.run('test', 'readonly', (tx, attempt) => {
+        if (attempt < 3) {
+          throw new Error('flaky');
+        }
+        return attempt;
+      }, {
+        backoff: () => 0,
+        retryOn: (error) => error.message === 'flaky',
+      }).then((result) => {
+        expect(result).to.equal(3);
+      });
+    });
+  });
+
+  describe('#versionChange', () => {
+    function open(versionchange) {
+      db.close();
+      return iDb.open('test', 1, { versionchange });
+    }
+
+    it('resolves when another connection upgrades', () => {
+      const upgrade = iDb.open('test', 2, {
+        blocked() {
+          db.close();
+        },
+      });
+      return db.versionChange.then((event) => {
+        expect(event.oldVersion).to.equal(1);
+        expect(event.newVersion).to.equal(2);
+        expect(event.database).to.be.null();
+        return upgrade;
+      });
+    });
+
+    it('keeps calling the onversionchange handler', () => {
+      let called = false;
+      db.onversionchange = () => {
+        called = true;
+        db.close();
+      };
+      return iDb.open('test', 2).then(() => {
+        expect(called).to.be.true();
+      });
+    });
+
+    describe('when the policy is "close"', () => {
+      it('closes the connection immediately', () => {
+        return open('close').then((db) => {
+          return iDb.open('test', 2).then((upgraded) => {
+            expect(upgraded.version).to.equal(2);
+            return db.versionChange;
+          });
+        }).then((event) => {
+          expect(event.newVersion).to.equal(2);
+          expect(event.database).to.be.null();
+        });
+      });
+    });
+
+    describe('when the policy is "drain"', () => {
+      it('closes the connection after in-flight transactions', () => {
+        let completed = false;
+        return open('drain').then((db) => {
+          const run = db.transaction('test', 'readwrite').run((tx) => {
+            return tx.objectStore('test').put(1, 'key').then(() => {
+              completed = true;
+            });
+          });
+          return iDb.open('test', 2).then((upgraded) => {
+            expect(upgraded.version).to.equal(2);
+            expect(completed).to.be.true();
+            return Promise.all([run, db.versionChange]);
+          });
+        }).then(([, event]) => {
+          expect(event.newVersion).to.equal(2);
+        });
+      });
+    });
+
+    describe('when the policy is "reopen"', () => {
+      it('reopens the database at the new version', () => {
+        return open('reopen').then((db) => {
+          return iDb.open('test', 2, {
+            upgrade(db) {
+              db.createObjectStore('test2');
+            },
+          }).then((upgraded) => {
+            upgraded.close();
+            return db.versionChange;
+          });
+        }).then((event) => {
+          const { database } = event;
+          expect(database.version).to.equal(2);
+          expect(database.objectStoreNames).to.deep.equal(['test', 'test2']);
+        });
+      });
+
+      it('does not reopen a deleted database', () => {
+        return open('reopen').then((db) => {
+          return iDb.deleteDatabase('test').then(() => db.versionChange);
+        }).then((event) => {
+          expect(event.newVersion).to.be.null();
+          expect(event.database).to.be.null();
+        });
+      });
+    });
+
+    describe('when another connection requests a close', () => {
+      let channels;
+      beforeEach(() => {
+        channels = [];
+        global.BroadcastChannel = class {
+          constructor(name) {
+            this.name = name;
+            this.onmessage = null;
+            channels.push(this);
+          }
+
+          postMessage(data) {
+            channels.forEach((channel) => {
+              if (channel !== this && channel.name === this.name &&
+                  channel.onmessage) {
+                channel.onmessage({ data });
+              }
+            });
+          }
+
+          close() {
+            channels.splice(channels.indexOf(this), 1);
+          }
+        };
+      });
+
+      afterEach(() => {
+        delete global.BroadcastChannel;
+      });
+
+      it('applies the policy', () => {
+        return open('close').then((db) => {
+          requestClose('test', 2);
+          return db.versionChange.then((event) => {
+            expect(event.oldVersion).to.equal(1);
+            expect(event.newVersion).to.equal(2);
+            expect(() => {
+              db.transaction('test');
+            }).to.throw(Error);
+          });
+        });
+      });
+
+      it('ignores requests for older versions', () => {
+        return open('close').then((db) => {
+          requestClose('test', 1);
+          return db.transaction('test').run(() => {});
+        });
+      });
+
+      it('stops listening once closed', () => {
+        return open('close').then((db) => {
+          db.close();
+          expect(channels).to.have.length(0);
+        });
+      });
+    });
   });
 });
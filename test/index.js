@@ -16,6 +16,7 @@
 
 import { expect } from 'chai';
 import iDb from '../src/index';
+import useMemoryDatabase from './mock/memory';
 
 describe('Index', () => {
   let db;
@@ -345,4 +346,47 @@ describe('Index', () => {
       });
     });
   });
+
+  describe('#page', () => {
+    const names = ['a', 'b', 'a', 'c', 'a', 'b'];
+
+    function pages(database, limit) {
+      const items = [];
+      const next = (after) => {
+        return database.transaction(['test']).run((tx) => {
+          return tx.objectStore('test').index('name').page({ limit, after });
+        }).then((page) => {
+          items.push(page.items.map(({ name, i }) => `${name}${i}`));
+          return page.nextToken ? next(page.nextToken) : items;
+        });
+      };
+      return next(null);
+    }
+
+    function seed(database) {
+      return database.transaction(['test'], 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        names.forEach((name, i) => store.add({ name, i }));
+      });
+    }
+
+    it('pages through duplicate keys', () => {
+      return seed(db).then(() => pages(db, 2)).then((items) => {
+        expect(items).to.deep.equal([['a0', 'a2'], ['a4', 'b1'], ['b5', 'c3']]);
+      });
+    });
+
+    describe('where IDBCursor#continuePrimaryKey is supported', () => {
+      const memory = useMemoryDatabase((db) => {
+        const store = db.createObjectStore('test', { autoIncrement: true });
+        store.createIndex('name', 'name');
+      }, seed);
+
+      it('pages through duplicate keys', () => {
+        return pages(memory.db, 2).then((items) => {
+          expect(items).to.deep.equal([['a0', 'a2'], ['a4', 'b1'], ['b5', 'c3']]);
+        });
+      });
+    });
+  });
 });
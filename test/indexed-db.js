@@ -15,7 +15,9 @@
  */
 
 import { expect } from 'chai';
-import iDb from '../src/index';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+import FDBKeyRange from 'fake-indexeddb/lib/FDBKeyRange';
+import iDb, { createIndexedDBP } from '../src/index';
 
 describe('IndexedDB', () => {
   describe('#open', () => {
@@ -84,6 +86,234 @@ describe('IndexedDB', () => {
           expect(event.transaction.mode).to.equal('versionchange');
         });
       });
+
+      it('waits for a returned promise-like', () => {
+        let migrated = false;
+        return iDb.open('test', 1, {
+          upgrade(db) {
+            const store = db.createObjectStore('test');
+            return store.add(1, 'key').then(() => {
+              return store.get('key');
+            }).then((value) => {
+              return store.put(value + 1, 'key');
+            }).then(() => {
+              migrated = true;
+            });
+          },
+        }).then((db) => {
+          expect(migrated).to.be.true();
+          return db.transaction('test').run((tx) => {
+            return tx.objectStore('test').get('key');
+          });
+        }).then((value) => {
+          expect(value).to.equal(2);
+        });
+      });
+
+      it('rejects when the returned promise-like rejects', () => {
+        return iDb.open('test', 1, {
+          upgrade(db) {
+            const store = db.createObjectStore('test');
+            return store.add(1, 'key').then(() => {
+              throw new Error('why');
+            });
+          },
+        }).then(() => {
+          throw new Error('should have rejected');
+        }, (error) => {
+          expect(error.message).to.equal('why');
+        });
+      });
+
+      it('rejects when upgrade throws', () => {
+        return iDb.open('test', 1, {
+          upgrade() {
+            throw new Error('why');
+          },
+        }).then(() => {
+          throw new Error('should have rejected');
+        }, (error) => {
+          expect(error.message).to.equal('why');
+        });
+      });
+
+      it('aborts the upgrade when it rejects', () => {
+        return iDb.open('test', 1, {
+          upgrade(db) {
+            db.createObjectStore('test');
+          },
+        }).then((db) => {
+          db.close();
+          return iDb.open('test', 2, {
+            upgrade(db, { transaction }) {
+              db.createObjectStore('test2');
+              const store = transaction.objectStore('test');
+              return store.add(1, 'key').then(() => {
+                throw new Error('why');
+              });
+            },
+          });
+        }).catch(() => {
+          return iDb.open('test');
+        }).then((db) => {
+          expect(db.version).to.equal(1);
+          expect(db.objectStoreNames.contains('test2')).to.be.false();
+          return db.transaction('test').run((tx) => {
+            return tx.objectStore('test').count();
+          }).then((count) => {
+            expect(count).to.equal(0);
+          });
+        });
+      });
+
+      it('rejects when upgrade rejects after the upgrade commits', () => {
+        const error = new Error('why');
+        return iDb.open('test', 1, {
+          upgrade(db) {
+            db.createObjectStore('test');
+            return new Promise((resolve, reject) => {
+              setTimeout(() => reject(error), 10);
+            });
+          },
+        }).then(() => {
+          throw new Error('should have rejected');
+        }, (e) => {
+          expect(e).to.equal(error);
+          // The connection must be closed, so it can't block the next upgrade.
+          return iDb.open('test', 2);
+        }).then((db) => {
+          expect(db.version).to.equal(2);
+          db.close();
+        });
+      });
+    });
+
+    describe('migrations', () => {
+      it('runs every migration in order', () => {
+        const calls = [];
+        return iDb.open('test', 3, {
+          migrations: {
+            3: () => calls.push(3),
+            1: () => calls.push(1),
+            2: () => calls.push(2),
+          },
+        }).then((db) => {
+          expect(calls).to.deep.equal([1, 2, 3]);
+          expect(db.version).to.equal(3);
+        });
+      });
+
+      it('skips already applied versions', () => {
+        const calls = [];
+        const migrations = {
+          1: () => calls.push(1),
+          2: () => calls.push(2),
+          3: () => calls.push(3),
+        };
+        return iDb.open('test', 1, { migrations }).then((db) => {
+          db.close();
+          return iDb.open('test', 3, { migrations });
+        }).then(() => {
+          expect(calls).to.deep.equal([1, 2, 3]);
+        });
+      });
+
+      it('skips versions above the requested version', () => {
+        const calls = [];
+        return iDb.open('test', 2, {
+          migrations: {
+            1: () => calls.push(1),
+            2: () => calls.push(2),
+            3: () => calls.push(3),
+          },
+        }).then(() => {
+          expect(calls).to.deep.equal([1, 2]);
+        });
+      });
+
+      it('passes the database and event data', () => {
+        return iDb.open('test', 2, {
+          migrations: {
+            2(db, event) {
+              expect(event.oldVersion).to.equal(0);
+              expect(event.newVersion).to.equal(2);
+              expect(event.transaction.mode).to.equal('versionchange');
+              db.createObjectStore('test');
+            },
+          },
+        }).then((db) => {
+          expect(db.objectStoreNames.contains('test')).to.be.true();
+        });
+      });
+
+      it('waits for returned promise-likes before the next migration', () => {
+        return iDb.open('test', 2, {
+          migrations: {
+            1(db) {
+              const store = db.createObjectStore('test');
+              return store.add(1, 'key');
+            },
+            2(db, { transaction }) {
+              return transaction.objectStore('test').get('key').then((value) => {
+                expect(value).to.equal(1);
+              });
+            },
+          },
+        });
+      });
+
+      it('runs before the upgrade callback', () => {
+        const calls = [];
+        return iDb.open('test', 1, {
+          migrations: {
+            1: () => calls.push('migration'),
+          },
+          upgrade: () => calls.push('upgrade'),
+        }).then(() => {
+          expect(calls).to.deep.equal(['migration', 'upgrade']);
+        });
+      });
+
+      it('aborts the upgrade with an error naming the failing step', () => {
+        const calls = [];
+        return iDb.open('test', 3, {
+          migrations: {
+            1(db) {
+              db.createObjectStore('test');
+            },
+            2() {
+              throw new Error('why');
+            },
+            3: () => calls.push(3),
+          },
+        }).then(() => {
+          throw new Error('should have rejected');
+        }, (error) => {
+          expect(error.name).to.equal('MigrationError');
+          expect(error.version).to.equal(2);
+          expect(error.message).to.have.string('version 2');
+          expect(error.message).to.have.string('why');
+          expect(error.cause.message).to.equal('why');
+          expect(calls).to.deep.equal([]);
+        }).then(() => {
+          return iDb.open('test');
+        }).then((db) => {
+          expect(db.version).to.equal(1);
+          expect(db.objectStoreNames.contains('test')).to.be.false();
+        });
+      });
+
+      it('throws synchronously for invalid versions', () => {
+        expect(() => {
+          iDb.open('test', 1, { migrations: { one() {} } });
+        }).to.throw(TypeError);
+      });
+
+      it('throws synchronously for non-function migrations', () => {
+        expect(() => {
+          iDb.open('test', 1, { migrations: { 1: true } });
+        }).to.throw(TypeError);
+      });
     });
 
     describe('blocked', () => {
@@ -142,6 +372,145 @@ describe('IndexedDB', () => {
           });
         });
       });
+
+      describe('with a blockedTimeout', () => {
+        function wait(ms) {
+          return new Promise((resolve) => {
+            setTimeout(resolve, ms);
+          });
+        }
+
+        it('rejects with a BlockedError', () => {
+          return iDb.open('test', 1).then((db) => {
+            return iDb.open('test', 2, {
+              blockedTimeout: 10,
+            }).then(() => {
+              throw new Error('should have rejected');
+            }, (error) => {
+              expect(error.name).to.equal('BlockedError');
+              expect(error.oldVersion).to.equal(1);
+              expect(error.newVersion).to.equal(2);
+              expect(error.attempts).to.equal(1);
+
+              // Cleanup
+              db.close();
+            });
+          });
+        });
+
+        it('does not upgrade once it gave up', () => {
+          let upgraded = false;
+          return iDb.open('test', 1).then((db) => {
+            return iDb.open('test', 2, {
+              blockedTimeout: 10,
+              upgrade() {
+                upgraded = true;
+              },
+            }).catch(() => {
+              db.close();
+              return wait(20);
+            });
+          }).then(() => {
+            return iDb.open('test');
+          }).then((db) => {
+            expect(upgraded).to.be.false();
+            expect(db.version).to.equal(1);
+          });
+        });
+
+        it('resolves if unblocked before the timeout', () => {
+          return iDb.open('test', 1).then((db) => {
+            db.onversionchange = () => {
+              setTimeout(() => db.close(), 5);
+            };
+            return iDb.open('test', 2, {
+              blockedTimeout: 50,
+            });
+          }).then((db) => {
+            expect(db.version).to.equal(2);
+          });
+        });
+
+        it('retries with a backoff', () => {
+          const delays = [];
+          let requests = 0;
+          return iDb.open('test', 1).then((db) => {
+            return iDb.open('test', 2, {
+              blockedTimeout: 5,
+              blockedRetries: 2,
+              blockedBackoff(attempt, timeout) {
+                delays.push([attempt, timeout]);
+                return 5;
+              },
+              requestClose() {
+                requests++;
+              },
+            }).then(() => {
+              throw new Error('should have rejected');
+            }, (error) => {
+              expect(error.name).to.equal('BlockedError');
+              expect(error.attempts).to.equal(3);
+              expect(delays).to.deep.equal([[1, 5], [2, 5]]);
+              expect(requests).to.equal(3);
+
+              // Cleanup
+              db.close();
+            });
+          });
+        });
+
+        it('resolves if a close request is honored', () => {
+          return iDb.open('test', 1).then((db) => {
+            return iDb.open('test', 2, {
+              blockedTimeout: 50,
+              requestClose(event) {
+                expect(event.newVersion).to.equal(2);
+                db.close();
+              },
+            });
+          }).then((db) => {
+            expect(db.version).to.equal(2);
+          });
+        });
+
+        it('broadcasts a close request when requestClose is true', () => {
+          const messages = [];
+          global.BroadcastChannel = class {
+            constructor(name) {
+              this.name = name;
+            }
+
+            postMessage(message) {
+              messages.push({ channel: this.name, message });
+            }
+
+            close() {}
+          };
+
+          return iDb.open('test', 1).then((db) => {
+            return iDb.open('test', 2, {
+              blockedTimeout: 10,
+              requestClose: true,
+            }).catch(() => {
+              expect(messages).to.have.length(1);
+              expect(messages[0].channel).to.have.string('test');
+              expect(messages[0].message).to.deep.equal({
+                type: 'close',
+                name: 'test',
+                version: 2,
+              });
+
+              // Cleanup
+              db.close();
+            });
+          }).then(() => {
+            delete global.BroadcastChannel;
+          }, (error) => {
+            delete global.BroadcastChannel;
+            throw error;
+          });
+        });
+      });
     });
   });
 
@@ -159,5 +528,191 @@ describe('IndexedDB', () => {
         expect(db.version).to.equal(1);
       });
     });
+
+    it('resolves with the deleted version', () => {
+      return iDb.deleteDatabase('test').then((event) => {
+        expect(event.oldVersion).to.equal(2);
+        expect(event.newVersion).to.be.null();
+      });
+    });
+
+    describe('blocked', () => {
+      it('calls when an open db blocks the delete', () => {
+        return iDb.open('test', 2).then((db) => {
+          return iDb.deleteDatabase('test', {
+            blocked(event) {
+              expect(event.oldVersion).to.equal(2);
+              expect(event.newVersion).to.be.null();
+              expect(event.transaction).to.be.null();
+              db.close();
+            },
+          });
+        });
+      });
+
+      it('rejects with a BlockedError after the blockedTimeout', () => {
+        return iDb.open('test', 2).then((db) => {
+          return iDb.deleteDatabase('test', {
+            blockedTimeout: 10,
+          }).then(() => {
+            throw new Error('should have rejected');
+          }, (error) => {
+            expect(error.name).to.equal('BlockedError');
+            expect(error.message).to.have.string('Deleting');
+            expect(error.oldVersion).to.equal(2);
+            expect(error.newVersion).to.be.null();
+
+            // Cleanup
+            db.close();
+          });
+        });
+      });
+
+      it('resolves if a close request is honored', () => {
+        return iDb.open('test', 2).then((db) => {
+          return iDb.deleteDatabase('test', {
+            blockedTimeout: 50,
+            requestClose() {
+              db.close();
+            },
+          });
+        }).then((event) => {
+          expect(event.oldVersion).to.equal(2);
+        });
+      });
+    });
+  });
+
+  describe('#databases', () => {
+    function names(databases) {
+      return databases.map(({ name }) => name);
+    }
+
+    it('lists opened databases', () => {
+      return iDb.open('test', 2).then((db) => {
+        db.close();
+        return iDb.open('test2');
+      }).then((db) => {
+        db.close();
+        return iDb.databases();
+      }).then((databases) => {
+        expect(databases).to.deep.include({ name: 'test', version: 2 });
+        expect(databases).to.deep.include({ name: 'test2', version: 1 });
+      });
+    });
+
+    it('updates the version of upgraded databases', () => {
+      return iDb.open('test', 1).then((db) => {
+        db.close();
+        return iDb.open('test', 3);
+      }).then((db) => {
+        db.close();
+        return iDb.databases();
+      }).then((databases) => {
+        expect(databases).to.deep.include({ name: 'test', version: 3 });
+        expect(databases).not.to.deep.include({ name: 'test', version: 1 });
+      });
+    });
+
+    it('does not list deleted databases', () => {
+      return iDb.open('test').then((db) => {
+        db.close();
+        return iDb.deleteDatabase('test');
+      }).then(() => {
+        return iDb.databases();
+      }).then((databases) => {
+        expect(names(databases)).not.to.include('test');
+      });
+    });
+
+    describe('when the platform enumerates databases', () => {
+      let databases;
+      beforeEach(() => {
+        databases = indexedDB.databases;
+        indexedDB.databases = () => {
+          return Promise.resolve([{ name: 'native', version: 4 }]);
+        };
+      });
+
+      afterEach(() => {
+        if (databases) {
+          indexedDB.databases = databases;
+        } else {
+          delete indexedDB.databases;
+        }
+      });
+
+      it('uses the native list', () => {
+        return iDb.open('test').then((db) => {
+          db.close();
+          return iDb.databases();
+        }).then((databases) => {
+          expect(databases).to.deep.equal([{ name: 'native', version: 4 }]);
+        });
+      });
+    });
+  });
+
+  describe('createIndexedDBP', () => {
+    let backend;
+    let isolated;
+    beforeEach(() => {
+      backend = new FDBFactory();
+      isolated = createIndexedDBP({
+        indexedDB: backend,
+        IDBKeyRange: FDBKeyRange,
+      });
+    });
+
+    it('opens databases in the given backend', () => {
+      return isolated.open('isolated', 2).then((db) => {
+        expect(db.version).to.equal(2);
+        expect(backend._databases).to.have.property('isolated');
+        expect(indexedDB._databases).not.to.have.property('isolated');
+        db.close();
+      });
+    });
+
+    it('keeps backends isolated from each other', () => {
+      const other = createIndexedDBP({ indexedDB: new FDBFactory() });
+      return isolated.open('test', 3).then((db) => {
+        db.close();
+        return other.open('test');
+      }).then((db) => {
+        expect(db.version).to.equal(1);
+        db.close();
+      });
+    });
+
+    it('deletes databases in the given backend', () => {
+      return isolated.open('isolated').then((db) => {
+        db.close();
+        return isolated.deleteDatabase('isolated');
+      }).then(() => {
+        expect(backend._databases).not.to.have.property('isolated');
+      });
+    });
+
+    it('lists databases in the given backend', () => {
+      return isolated.open('isolated').then((db) => {
+        db.close();
+        return isolated.databases();
+      }).then((databases) => {
+        expect(databases).to.deep.equal([{ name: 'isolated', version: 1 }]);
+      });
+    });
+
+    it('exposes the IDBKeyRange of the given backend', () => {
+      expect(isolated.IDBKeyRange).to.equal(FDBKeyRange);
+    });
+
+    it('defaults to the globals', () => {
+      const global = createIndexedDBP();
+      expect(global.IDBKeyRange).to.equal(IDBKeyRange);
+      return global.open('test').then((db) => {
+        expect(indexedDB._databases).to.have.property('test');
+        db.close();
+      });
+    });
   });
 });
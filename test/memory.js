@@ -0,0 +1,365 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import { createIndexedDBP } from '../src/index';
+import createMemoryBackend from '../src/memory';
+
+describe('MemoryBackend', () => {
+  let backend;
+  let memory;
+  let db;
+  beforeEach(() => {
+    backend = createMemoryBackend();
+    memory = createIndexedDBP(backend);
+    return memory.open('memory', 1, {
+      upgrade(db) {
+        const people = db.createObjectStore('people', {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        people.createIndex('ssn', 'ssn', { unique: true });
+        people.createIndex('tags', 'tags', { multiEntry: true });
+        people.createIndex('last', 'name.last');
+        db.createObjectStore('settings');
+      },
+    }).then((d) => {
+      db = d;
+    });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  function errorName(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error.name;
+    }
+    return null;
+  }
+
+  function rejectionName(promise) {
+    return promise.then(() => null, (error) => error.name);
+  }
+
+  function people(mode, cb) {
+    return db.transaction('people', mode).run((tx) => cb(tx.objectStore('people')));
+  }
+
+  function seed() {
+    return people('readwrite', (store) => {
+      store.add({ ssn: 3, tags: ['a', 'b'], name: { last: 'Smith' } });
+      store.add({ ssn: 1, tags: ['b', 'b', 'c'], name: { last: 'Jones' } });
+      store.add({ ssn: 2, tags: [], name: { last: 'Smith' } });
+    });
+  }
+
+  it('does not touch the global IndexedDB', () => {
+    expect(indexedDB._databases).not.to.have.property('memory');
+    return memory.databases().then((databases) => {
+      expect(databases).to.deep.equal([{ name: 'memory', version: 1 }]);
+    });
+  });
+
+  describe('objectStores', () => {
+    it('generates and injects keys', () => {
+      return seed().then(() => {
+        return people('readonly', (store) => store.getAll());
+      }).then((records) => {
+        expect(records.map((r) => r.id)).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it('continues generating after explicit keys', () => {
+      return people('readwrite', (store) => {
+        return store.put({ id: 10, ssn: 1 }).then(() => store.put({ ssn: 2 }));
+      }).then((key) => {
+        expect(key).to.equal(11);
+      });
+    });
+
+    it('stores clones of records', () => {
+      const record = { ssn: 1, date: new Date(0) };
+      return people('readwrite', (store) => {
+        return store.put(record).then((id) => {
+          record.ssn = 2;
+          return store.get(id);
+        });
+      }).then((stored) => {
+        expect(stored.ssn).to.equal(1);
+        expect(stored.date).to.be.an.instanceof(Date);
+        expect(stored).not.to.equal(record);
+      });
+    });
+
+    it('stores out-of-line keys', () => {
+      return db.transaction('settings', 'readwrite').run((tx) => {
+        const store = tx.objectStore('settings');
+        store.put('dark', 'theme');
+        store.put('en', ['locale', 1]);
+        return store.getAllKeys();
+      }).then((keys) => {
+        expect(keys).to.deep.equal(['theme', ['locale', 1]]);
+      });
+    });
+
+    it('rejects adding an existing key', () => {
+      return rejectionName(people('readwrite', (store) => {
+        return store.add({ id: 1 }).then(() => store.add({ id: 1 }));
+      })).then((name) => {
+        expect(name).to.equal('ConstraintError');
+      });
+    });
+
+    it('deletes and counts key ranges', () => {
+      const { IDBKeyRange } = memory;
+      return seed().then(() => {
+        return people('readwrite', (store) => {
+          store.delete(IDBKeyRange.upperBound(2));
+          return store.count();
+        });
+      }).then((count) => {
+        expect(count).to.equal(1);
+      });
+    });
+
+    it('throws synchronously when writing in a readonly transaction', () => {
+      return people('readonly', (store) => {
+        expect(errorName(() => store.put({ ssn: 1 }))).to.equal('ReadOnlyError');
+      });
+    });
+  });
+
+  describe('indexes', () => {
+    beforeEach(seed);
+
+    it('rejects records that violate a unique index', () => {
+      return rejectionName(people('readwrite', (store) => {
+        return store.add({ ssn: 1 });
+      })).then((name) => {
+        expect(name).to.equal('ConstraintError');
+      });
+    });
+
+    it('indexes every entry of a multiEntry index', () => {
+      return people('readonly', (store) => {
+        const tags = store.index('tags');
+        return tags.getAllKeys('b').then((keys) => {
+          expect(keys).to.deep.equal([1, 2]);
+          return tags.count();
+        });
+      }).then((count) => {
+        expect(count).to.equal(4);
+      });
+    });
+
+    it('gets records by their index key', () => {
+      return people('readonly', (store) => {
+        return store.index('last').getAll('Smith');
+      }).then((records) => {
+        expect(records.map((r) => r.ssn)).to.deep.equal([3, 2]);
+      });
+    });
+  });
+
+  describe('cursors', () => {
+    beforeEach(seed);
+
+    function keys(source, query, direction) {
+      return people('readonly', (store) => {
+        const target = source ? store.index(source) : store;
+        return target.openCursor(query, direction).while((cursor) => {
+          return [cursor.key, cursor.primaryKey];
+        });
+      });
+    }
+
+    it('iterates in both directions', () => {
+      return keys(null, null, 'prev').then((results) => {
+        expect(results).to.deep.equal([[3, 3], [2, 2], [1, 1]]);
+      });
+    });
+
+    it('iterates duplicate index keys by primary key', () => {
+      return keys('last', null, 'prev').then((results) => {
+        expect(results).to.deep.equal([['Smith', 3], ['Smith', 1], ['Jones', 2]]);
+      });
+    });
+
+    it('skips duplicate index keys when unique', () => {
+      return keys('tags', null, 'prevunique').then((results) => {
+        expect(results).to.deep.equal([['c', 2], ['b', 1], ['a', 1]]);
+      });
+    });
+
+    it('iterates key ranges', () => {
+      const { IDBKeyRange } = memory;
+      return keys('tags', IDBKeyRange.bound('a', 'c', true, false)).then((results) => {
+        expect(results).to.deep.equal([['b', 1], ['b', 2], ['c', 2]]);
+      });
+    });
+
+    it('updates and deletes records', () => {
+      return people('readwrite', (store) => {
+        return store.openCursor().while((cursor) => {
+          if (cursor.key === 1) {
+            cursor.delete();
+          } else {
+            cursor.update(Object.assign({}, cursor.value, { ssn: cursor.value.ssn * 10 }));
+          }
+        });
+      }).then(() => {
+        return people('readonly', (store) => store.index('ssn').getAll());
+      }).then((records) => {
+        expect(records.map((r) => [r.id, r.ssn])).to.deep.equal([[2, 10], [3, 20]]);
+      });
+    });
+  });
+
+  describe('transactions', () => {
+    it('rolls back aborted transactions', () => {
+      return seed().then(() => {
+        return people('readwrite', (store) => {
+          store.clear();
+          store.put({ ssn: 4 });
+          return store.count().then(() => {
+            throw new Error('abort');
+          });
+        });
+      }).catch(() => {
+        return people('readonly', (store) => store.getAll());
+      }).then((records) => {
+        expect(records.map((r) => r.id)).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it('stays active through the microtasks queued by request handlers', () => {
+      return people('readwrite', (store) => {
+        return new Promise((resolve, reject) => {
+          store.add({ ssn: 5 }).then(() => {
+            Promise.resolve().then(() => store.add({ ssn: 6 })).then(resolve, reject);
+          });
+        });
+      }).then(() => people('readonly', (store) => store.count())).then((count) => {
+        expect(count).to.equal(2);
+      });
+    });
+
+    it('rolls back aborted upgrades', () => {
+      db.close();
+      return memory.open('memory', 2, {
+        upgrade(db) {
+          db.deleteObjectStore('settings');
+          db.createObjectStore('other');
+          throw new Error('abort');
+        },
+      }).catch(() => memory.open('memory')).then((d) => {
+        db = d;
+        expect(db.version).to.equal(1);
+        expect(Array.from(db.objectStoreNames)).to.deep.equal(['people', 'settings']);
+      });
+    });
+  });
+
+  describe('upgrades', () => {
+    beforeEach(() => {
+      return seed().then(() => db.close());
+    });
+
+    it('renames objectStores natively', () => {
+      return memory.open('memory', 2, {
+        upgrade(db) {
+          return db.renameObjectStore('people', 'humans');
+        },
+      }).then((d) => {
+        db = d;
+        expect(db.objectStoreNames.contains('humans')).to.be.true();
+        expect(db.objectStoreNames.contains('people')).to.be.false();
+        return db.transaction('humans').run((tx) => tx.objectStore('humans').count());
+      }).then((count) => {
+        expect(count).to.equal(3);
+      });
+    });
+
+    it('renames indexes natively', () => {
+      return memory.open('memory', 2, {
+        upgrade(db, { transaction }) {
+          transaction.objectStore('people').renameIndex('last', 'surname');
+        },
+      }).then((d) => {
+        db = d;
+        return people('readonly', (store) => {
+          expect(store.indexNames.contains('last')).to.be.false();
+          return store.index('surname').count('Smith');
+        });
+      }).then((count) => {
+        expect(count).to.equal(2);
+      });
+    });
+
+    it('aborts when existing records violate a new unique index', () => {
+      return rejectionName(memory.open('memory', 2, {
+        upgrade(db, { transaction }) {
+          transaction.objectStore('people').createIndex('unique', 'name.last', { unique: true });
+        },
+      })).then((name) => {
+        expect(name).to.equal('AbortError');
+        return memory.open('memory');
+      }).then((d) => {
+        db = d;
+        expect(db.version).to.equal(1);
+      });
+    });
+  });
+
+  describe('#snapshot', () => {
+    it('restores the captured state', () => {
+      let snapshot;
+      return seed().then(() => {
+        snapshot = backend.snapshot();
+        return people('readwrite', (store) => store.clear());
+      }).then(() => {
+        db.close();
+        backend.restore(snapshot);
+        return memory.open('memory');
+      }).then((d) => {
+        db = d;
+        return people('readwrite', (store) => {
+          return store.index('tags').count('b').then((count) => {
+            expect(count).to.equal(2);
+            return store.put({ ssn: 4 });
+          }).then((key) => {
+            expect(key).to.equal(4);
+          });
+        });
+      });
+    });
+
+    it('is independent of later changes', () => {
+      const snapshot = backend.snapshot();
+      return seed().then(() => {
+        expect(snapshot.memory.stores.people.records).to.be.empty();
+      });
+    });
+
+    it('cannot restore while connections are open', () => {
+      expect(errorName(() => backend.restore({}))).to.equal('InvalidStateError');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A minimal AbortController, as our version of Node does not provide one.
+ */
+export default class AbortController {
+  constructor() {
+    const listeners = [];
+
+    this.signal = {
+      aborted: false,
+      reason: undefined,
+      addEventListener(type, listener) {
+        listeners.push(listener);
+      },
+      removeEventListener(type, listener) {
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+          listeners.splice(index, 1);
+        }
+      },
+    };
+
+    this._listeners = listeners;
+  }
+
+  abort(reason = new Error('aborted')) {
+    if (this.signal.aborted) {
+      return;
+    }
+    this.signal.aborted = true;
+    this.signal.reason = reason;
+    this._listeners.slice().forEach((listener) => listener());
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { createIndexedDBP } from '../../src/index';
+import createMemoryBackend from '../../src/memory';
+
+/**
+ * Opens a "test" database on a fresh in-memory backend before each test of
+ * the current suite, closing it after. The memory backend supports features
+ * our mock does not, such as `getAll` and explicit commits.
+ *
+ * @param {function(!VersionChangeDatabase)} upgrade Creates the database's
+ *     objectStores.
+ * @param {function(!Database):*=} seed Populates the database, returning a
+ *     Promise-like if it is asynchronous.
+ * @return {{db: ?Database, backend: ?Object}} Holds the current test's
+ *     database, and the backend it was opened with.
+ */
+export default function useMemoryDatabase(upgrade, seed = () => {}) {
+  const memory = { db: null, backend: null };
+
+  beforeEach(() => {
+    memory.backend = createMemoryBackend();
+    return createIndexedDBP(memory.backend).open('test', 1, { upgrade }).then((db) => {
+      memory.db = db;
+      return seed(db);
+    });
+  });
+
+  afterEach(() => {
+    memory.db.close();
+  });
+
+  return memory;
+}
@@ -16,6 +16,8 @@
 
 import { expect } from 'chai';
 import iDb from '../src/index';
+import { MemoryObjectStore } from '../src/memory/object-store';
+import useMemoryDatabase from './mock/memory';
 
 describe('ObjectStore', () => {
   let db;
@@ -287,6 +289,57 @@ describe('ObjectStore', () => {
     });
   });
 
+  describe('#renameIndex', () => {
+    function upgrade(cb) {
+      db.close();
+      return iDb.open('test', 2, {
+        upgrade: (db) => {
+          const store = db.createObjectStore('index', { keyPath: 'id' });
+          store.createIndex('index', 'index', { unique: true });
+          store.put({ id: 1, index: 'a' });
+          return cb(store, db);
+        },
+      });
+    }
+
+    it('renames the index', () => {
+      return upgrade((store) => {
+        const index = store.renameIndex('index', 'renamed');
+        expect(index.name).to.equal('renamed');
+        expect(store.indexNames).to.deep.equal(['renamed']);
+      });
+    });
+
+    it('preserves the index parameters', () => {
+      return upgrade((store) => {
+        const index = store.renameIndex('index', 'renamed');
+        expect(index.keyPath).to.equal('index');
+        expect(index.unique).to.be.true();
+        expect(index.multiEntry).to.be.false();
+      });
+    });
+
+    it('indexes existing records', () => {
+      return upgrade((store) => {
+        store.renameIndex('index', 'renamed');
+      }).then((db) => {
+        return db.transaction('index').run((tx) => {
+          return tx.objectStore('index').index('renamed').get('a');
+        });
+      }).then((record) => {
+        expect(record).to.deep.equal({ id: 1, index: 'a' });
+      });
+    });
+
+    it('throws error outside of upgrade event', () => {
+      return test((store) => {
+        expect(() => {
+          store.renameIndex('index', 'other');
+        }).to.throw(Error);
+      });
+    });
+  });
+
   describe('#get', () => {
     beforeEach(() => {
       return test((store) => {
@@ -556,4 +609,260 @@ describe('ObjectStore', () => {
       });
     });
   });
+
+  describe('#page', () => {
+    beforeEach(() => {
+      return test((store) => {
+        for (let i = 1; i <= 7; i++) {
+          store.add({ i });
+        }
+      });
+    });
+
+    function page(options) {
+      return test('readonly', (store) => store.page(options)).then((result) => {
+        return Object.assign({}, result, { items: result.items.map(({ i }) => i) });
+      });
+    }
+
+    it('pages forward and backward', () => {
+      return page({ limit: 3 }).then((first) => {
+        expect(first.items).to.deep.equal([1, 2, 3]);
+        expect(first.prevToken).to.be.null();
+        return page({ limit: 3, after: first.nextToken });
+      }).then((second) => {
+        expect(second.items).to.deep.equal([4, 5, 6]);
+        return page({ limit: 3, after: second.nextToken }).then((third) => {
+          expect(third.items).to.deep.equal([7]);
+          expect(third.nextToken).to.be.null();
+          return page({ limit: 3, after: second.prevToken });
+        });
+      }).then((first) => {
+        expect(first.items).to.deep.equal([1, 2, 3]);
+        expect(first.prevToken).to.be.null();
+        expect(first.nextToken).to.be.a('string');
+      });
+    });
+
+    it('pages in the direction and query given', () => {
+      const query = IDBKeyRange.bound(2, 6);
+      return page({ query, direction: 'prev', limit: 2 }).then((first) => {
+        expect(first.items).to.deep.equal([6, 5]);
+        return page({ query, limit: 2, after: first.nextToken });
+      }).then((second) => {
+        expect(second.items).to.deep.equal([4, 3]);
+        return page({ query, limit: 2, after: second.nextToken });
+      }).then((third) => {
+        expect(third.items).to.deep.equal([2]);
+        expect(third.nextToken).to.be.null();
+      });
+    });
+
+    it('rejects an invalid token', () => {
+      return page({ after: 'invalid' }).then(() => {
+        expect.fail();
+      }, (error) => {
+        expect(error.name).to.equal('DataError');
+      });
+    });
+  });
+
+  describe('#scan', () => {
+    function seed(d) {
+      return d.transaction(['test'], 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        for (let i = 1; i <= 7; i++) {
+          store.add({ i });
+        }
+      });
+    }
+
+    // Scans the records of `d`, collecting their `i` and advancing with
+    // `move` (continuing by default).
+    function scan(d, query, options, move = (cursor) => cursor.continue()) {
+      const values = [];
+      return d.transaction(['test'], 'readonly').run((tx) => {
+        return tx.objectStore('test').scan(query, options).iterate((cursor) => {
+          values.push(cursor.value.i);
+          return move(cursor);
+        });
+      }).then(() => values);
+    }
+
+    describe('with a cursor', () => {
+      beforeEach(() => seed(db));
+
+      it('iterates every record', () => {
+        return scan(db).then((values) => {
+          expect(values).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+        });
+      });
+
+      it('iterates in the direction given', () => {
+        return scan(db, IDBKeyRange.bound(2, 6), { direction: 'prev' }).then((values) => {
+          expect(values).to.deep.equal([6, 5, 4, 3, 2]);
+        });
+      });
+    });
+
+    describe('in batches', () => {
+      const memory = useMemoryDatabase((db) => {
+        db.createObjectStore('test', { autoIncrement: true });
+      }, seed);
+
+      it('fetches the records in batches', () => {
+        const counts = [];
+        // The memory backend's objectStores inherit `getAll`, so deleting the
+        // spy restores it.
+        const restore = () => delete MemoryObjectStore.prototype.getAll;
+        const { getAll } = MemoryObjectStore.prototype;
+        MemoryObjectStore.prototype.getAll = function getAllSpy(query, count) {
+          counts.push(count);
+          return getAll.call(this, query, count);
+        };
+
+        return memory.db.transaction(['test'], 'readonly').run((tx) => {
+          const store = tx.objectStore('test');
+          return store.scan(null, { batchSize: 3 }).iterate((cursor) => {
+            expect(cursor.key).to.equal(cursor.value.i);
+            expect(cursor.primaryKey).to.equal(cursor.key);
+            cursor.continue();
+            return cursor.key;
+          });
+        }).then((results) => {
+          restore();
+          expect(results).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+          expect(counts).to.deep.equal([3, 3, 3]);
+        }, (error) => {
+          restore();
+          throw error;
+        });
+      });
+
+      it('iterates the records matching the query', () => {
+        const query = memory.backend.IDBKeyRange.bound(2, 6);
+        return scan(memory.db, query, { batchSize: 2 }).then((values) => {
+          expect(values).to.deep.equal([2, 3, 4, 5, 6]);
+        });
+      });
+
+      it('ends if the cursor does not advance', () => {
+        return scan(memory.db, null, { batchSize: 2 }, (cursor) => {
+          if (cursor.key < 3) {
+            cursor.continue();
+          }
+        }).then((values) => {
+          expect(values).to.deep.equal([1, 2, 3]);
+        });
+      });
+
+      it('advances across batches', () => {
+        return scan(memory.db, null, { batchSize: 2 }, (cursor) => {
+          cursor.advance(2);
+        }).then((values) => {
+          expect(values).to.deep.equal([1, 3, 5, 7]);
+        });
+      });
+
+      it('continues to the key given', () => {
+        return scan(memory.db, null, { batchSize: 2 }, (cursor) => {
+          cursor.continue(cursor.key === 1 ? 5 : null);
+        }).then((values) => {
+          expect(values).to.deep.equal([1, 5, 6, 7]);
+        });
+      });
+
+      it('waits for the result to resolve before continuing', () => {
+        const values = [];
+        return memory.db.transaction(['test'], 'readonly').run((tx) => {
+          const store = tx.objectStore('test');
+          return store.scan(null, { batchSize: 4 }).iterate((cursor) => {
+            return store.get(cursor.key).then((value) => {
+              values.push(value.i);
+              cursor.continue();
+            });
+          });
+        }).then(() => {
+          expect(values).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+        });
+      });
+
+      it('rejects with a thrown error', () => {
+        const error = new Error('test');
+        return expect(scan(memory.db, null, {}, () => {
+          throw error;
+        })).to.be.rejectedWith(error);
+      });
+
+      it('falls back to a cursor for the prev direction', () => {
+        return scan(memory.db, null, { direction: 'prev' }).then((values) => {
+          expect(values).to.deep.equal([7, 6, 5, 4, 3, 2, 1]);
+        });
+      });
+    });
+  });
+
+  describe('#putIfVersion', () => {
+    it('rejects if the objectStore has no version field', () => {
+      return test((store) => {
+        return store.putIfVersion({}, 0, 'test');
+      }).then(() => {
+        expect.fail();
+      }, (error) => {
+        expect(error).to.be.an.instanceof(TypeError);
+      });
+    });
+
+    describe('with a version field', () => {
+      beforeEach(() => {
+        db.close();
+        return iDb.open('test', 1, {
+          versionFields: { test: 'version' },
+        }).then((d) => {
+          db = d;
+        });
+      });
+
+      it('writes a missing record at version 1', () => {
+        const record = { name: 'test' };
+        return test((store) => {
+          return store.putIfVersion(record, 0, 'test').then((result) => {
+            expect(result).to.deep.equal({ key: 'test', version: 1 });
+            return store.get('test');
+          });
+        }).then((stored) => {
+          expect(stored).to.deep.equal({ name: 'test', version: 1 });
+          expect(record).to.deep.equal({ name: 'test' });
+        });
+      });
+
+      it('increments the version of a matching record', () => {
+        return test((store) => {
+          store.put({ name: 'test', version: 3 }, 'test');
+          return store.putIfVersion({ name: 'changed' }, 3, 'test').then((result) => {
+            expect(result.version).to.equal(4);
+            return store.get('test');
+          });
+        }).then((stored) => {
+          expect(stored).to.deep.equal({ name: 'changed', version: 4 });
+        });
+      });
+
+      it('rejects with a ConflictError if the versions differ', () => {
+        return test((store) => {
+          store.put({ name: 'test', version: 2 }, 'test');
+          return store.putIfVersion({ name: 'changed' }, 1, 'test').then(() => {
+            expect.fail();
+          }, (error) => {
+            expect(error.name).to.equal('ConflictError');
+            expect(error.version).to.equal(2);
+            expect(error.current).to.deep.equal({ name: 'test', version: 2 });
+            return store.get('test');
+          });
+        }).then((stored) => {
+          expect(stored.name).to.equal('test');
+        });
+      });
+    });
+  });
 });
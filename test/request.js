@@ -16,6 +16,7 @@
 
 import { expect } from 'chai';
 import iDb from '../src/index';
+import AbortController from './mock/abort-controller';
 
 describe('Request', () => {
   let db;
@@ -150,4 +151,35 @@ describe('Request', () => {
       });
     });
   });
+
+  describe('#withSignal', () => {
+    it('resolves with the result', () => {
+      const controller = new AbortController();
+      return db.transaction('test').run((tx) => {
+        return tx.objectStore('test').count().withSignal(controller.signal);
+      }).then((count) => {
+        expect(count).to.equal(0);
+      });
+    });
+
+    it('rejects with the reason and aborts the transaction', () => {
+      const controller = new AbortController();
+      let aborted = false;
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.onabort = () => {
+          aborted = true;
+        };
+        const request = tx.objectStore('test').add({});
+        controller.abort();
+        return request.withSignal(controller.signal);
+      }).catch((error) => {
+        expect(error).to.equal(controller.signal.reason);
+        return new Promise((resolve) => {
+          setTimeout(resolve, 10);
+        });
+      }).then(() => {
+        expect(aborted).to.be.true();
+      });
+    });
+  });
 });
@@ -0,0 +1,194 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import iDb, { createIndexedDBP } from '../src/index';
+import createMemoryBackend from '../src/memory';
+
+describe('Schema', () => {
+  const schema = {
+    people: {
+      keyPath: 'id',
+      autoIncrement: true,
+      indexes: {
+        ssn: { unique: true },
+        lastName: { keyPath: 'last' },
+      },
+    },
+    settings: {},
+  };
+
+  function open(version, schema, indexedDBP = iDb) {
+    return indexedDBP.open('test', version, { schema });
+  }
+
+  function inspect(db, name, cb) {
+    return db.transaction(name).run((tx) => cb(tx.objectStore(name)));
+  }
+
+  it('creates the declared objectStores', () => {
+    return open(1, schema).then((db) => {
+      expect(db.objectStoreNames.contains('people')).to.be.true();
+      expect(db.objectStoreNames.contains('settings')).to.be.true();
+      return inspect(db, 'people', (store) => {
+        expect(store.keyPath).to.equal('id');
+        expect(store.autoIncrement).to.be.true();
+      }).then(() => db);
+    }).then((db) => {
+      return inspect(db, 'settings', (store) => {
+        expect(store.keyPath).to.be.null();
+        expect(store.autoIncrement).to.be.false();
+      });
+    });
+  });
+
+  it('creates the declared indexes', () => {
+    return open(1, schema).then((db) => {
+      return inspect(db, 'people', (store) => {
+        const ssn = store.index('ssn');
+        expect(ssn.keyPath).to.equal('ssn');
+        expect(ssn.unique).to.be.true();
+        expect(ssn.multiEntry).to.be.false();
+
+        const lastName = store.index('lastName');
+        expect(lastName.keyPath).to.equal('last');
+        expect(lastName.unique).to.be.false();
+      });
+    });
+  });
+
+  it('deletes undeclared objectStores', () => {
+    return open(1, schema).then((db) => {
+      db.close();
+      return open(2, { people: schema.people });
+    }).then((db) => {
+      expect(db.objectStoreNames.contains('people')).to.be.true();
+      expect(db.objectStoreNames.contains('settings')).to.be.false();
+    });
+  });
+
+  it('creates and deletes indexes on existing objectStores', () => {
+    return open(1, schema).then((db) => {
+      db.close();
+      return open(2, Object.assign({}, schema, {
+        people: {
+          keyPath: 'id',
+          autoIncrement: true,
+          indexes: {
+            ssn: { unique: true },
+            firstName: { keyPath: 'first' },
+          },
+        },
+      }));
+    }).then((db) => {
+      return inspect(db, 'people', (store) => {
+        expect(store.indexNames.contains('ssn')).to.be.true();
+        expect(store.indexNames.contains('firstName')).to.be.true();
+        expect(store.indexNames.contains('lastName')).to.be.false();
+      });
+    });
+  });
+
+  // Our Mock library fails us, deleting the recreated index along with the
+  // old one, so this uses the memory backend.
+  it('recreates indexes whose declaration changed', () => {
+    const memory = createIndexedDBP(createMemoryBackend());
+    return open(1, schema, memory).then((db) => {
+      db.close();
+      return open(2, Object.assign({}, schema, {
+        people: {
+          keyPath: 'id',
+          autoIncrement: true,
+          indexes: {
+            ssn: { unique: false },
+            lastName: { keyPath: 'surname' },
+          },
+        },
+      }), memory);
+    }).then((db) => {
+      return inspect(db, 'people', (store) => {
+        expect(store.index('ssn').unique).to.be.false();
+        expect(store.index('lastName').keyPath).to.equal('surname');
+      }).then(() => db.close());
+    });
+  });
+
+  it('keeps the records of existing objectStores', () => {
+    return open(1, schema).then((db) => {
+      return db.transaction('people', 'readwrite').run((tx) => {
+        tx.objectStore('people').add({ ssn: 1, last: 'Smith' });
+      }).then(() => db.close());
+    }).then(() => {
+      return open(2, Object.assign({}, schema, { extra: {} }));
+    }).then((db) => {
+      return inspect(db, 'people', (store) => store.count()).then((count) => {
+        expect(count).to.equal(1);
+      });
+    });
+  });
+
+  it('reports a changed keyPath', () => {
+    return open(1, schema).then((db) => {
+      db.close();
+      return open(2, Object.assign({}, schema, {
+        settings: { keyPath: 'key' },
+      }));
+    }).then(() => {
+      throw new Error('should have rejected');
+    }, (error) => {
+      expect(error.name).to.equal('SchemaError');
+      expect(error.objectStore).to.equal('settings');
+      expect(error.message).to.have.string('keyPath');
+      return iDb.open('test');
+    }).then((db) => {
+      expect(db.version).to.equal(1);
+    });
+  });
+
+  it('reports a changed autoIncrement', () => {
+    return open(1, schema).then((db) => {
+      db.close();
+      return open(2, Object.assign({}, schema, {
+        settings: { autoIncrement: true },
+      }));
+    }).then(() => {
+      throw new Error('should have rejected');
+    }, (error) => {
+      expect(error.name).to.equal('SchemaError');
+      expect(error.objectStore).to.equal('settings');
+      expect(error.message).to.have.string('autoIncrement');
+    });
+  });
+
+  it('applies after migrations and before upgrade', () => {
+    const calls = [];
+    return iDb.open('test', 1, {
+      schema,
+      migrations: {
+        1(db) {
+          calls.push('migration');
+          expect(db.objectStoreNames.contains('people')).to.be.false();
+        },
+      },
+      upgrade(db) {
+        calls.push('upgrade');
+        expect(db.objectStoreNames.contains('people')).to.be.true();
+      },
+    }).then(() => {
+      expect(calls).to.deep.equal(['migration', 'upgrade']);
+    });
+  });
+});
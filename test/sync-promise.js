@@ -0,0 +1,103 @@
+/**
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import SyncPromise from '../src/classes/sync-promise';
+
+describe('SyncPromise', () => {
+  // Creates a pending SyncPromise, along with the functions that settle it.
+  function deferred() {
+    const d = {};
+    d.promise = new SyncPromise((resolve, reject) => {
+      d.resolve = resolve;
+      d.reject = reject;
+    });
+    return d;
+  }
+
+  describe('when resolved with a pending SyncPromise', () => {
+    it('calls callbacks registered before it settles', () => {
+      const inner = deferred();
+      const outer = new SyncPromise((resolve) => resolve(inner.promise));
+      let value;
+      outer.then((v) => {
+        value = v;
+      });
+
+      inner.resolve(1);
+      expect(value).to.equal(1);
+    });
+
+    it('calls callbacks registered after it settles', () => {
+      const inner = deferred();
+      const outer = SyncPromise.resolve().then(() => inner.promise);
+      inner.resolve(1);
+
+      let value;
+      outer.then((v) => {
+        value = v;
+      });
+      expect(value).to.equal(1);
+    });
+
+    it('calls rejection callbacks registered after it settles', () => {
+      const error = new Error('test');
+      const inner = deferred();
+      const outer = new SyncPromise((resolve) => resolve(inner.promise));
+      inner.reject(error);
+
+      let reason;
+      outer.catch((e) => {
+        reason = e;
+      });
+      expect(reason).to.equal(error);
+    });
+  });
+
+  describe('.all', () => {
+    it('resolves with the values in order, as they settle', () => {
+      const first = deferred();
+      const second = deferred();
+      let values;
+      SyncPromise.all([first.promise, 2, second.promise]).then((v) => {
+        values = v;
+      });
+
+      second.resolve(3);
+      expect(values).to.be.undefined();
+      first.resolve(1);
+      expect(values).to.deep.equal([1, 2, 3]);
+    });
+
+    it('resolves with an empty array if given none', () => {
+      let values;
+      SyncPromise.all([]).then((v) => {
+        values = v;
+      });
+      expect(values).to.deep.equal([]);
+    });
+
+    it('rejects with the first rejection', () => {
+      const error = new Error('test');
+      const pending = deferred();
+      let reason;
+      SyncPromise.all([pending.promise, SyncPromise.reject(error)]).catch((e) => {
+        reason = e;
+      });
+      expect(reason).to.equal(error);
+    });
+  });
+});
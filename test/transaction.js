@@ -15,7 +15,9 @@
  */
 
 import { expect } from 'chai';
-import iDb from '../src/index';
+import iDb, { configureTransactions, setDevMode } from '../src/index';
+import AbortController from './mock/abort-controller';
+import useMemoryDatabase from './mock/memory';
 
 describe('Transaction', () => {
   let db;
@@ -134,22 +136,336 @@ describe('Transaction', () => {
       });
     });
 
-    it('does not resolve the transaction promise', () => {
-      let fulfilled = false;
-      let rejected = false;
+    it('rejects the transaction promise', () => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.abort();
+      }).then(() => {
+        throw new Error('should have rejected');
+      }, (error) => {
+        expect(error.name).to.equal('AbortError');
+        expect(error.scope).to.deep.equal(['test']);
+        expect(error.mode).to.equal('readwrite');
+        expect(error.cause).to.be.null();
+      });
+    });
+
+    it('rejects when aborted after the callback resolves', () => {
+      let transaction;
+      const run = db.transaction('test', 'readwrite').run((tx) => {
+        transaction = tx;
+        return tx.objectStore('test').add({});
+      });
+      transaction.abort();
+
+      return run.then(() => {
+        throw new Error('should have rejected');
+      }, (error) => {
+        expect(error.name).to.equal('AbortError');
+      });
+    });
+
+    it('keeps calling the onabort handler', () => {
+      let aborted;
+      const called = new Promise((resolve) => {
+        aborted = resolve;
+      });
+
       db.transaction('test', 'readwrite').run((tx) => {
+        tx.onabort = aborted;
         tx.abort();
+      }).catch(() => {});
+      return called;
+    });
+  });
+
+  describe('#afterCommit', () => {
+    it('calls the hook once the transaction commits', () => {
+      const calls = [];
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.afterCommit(() => calls.push('first'));
+        tx.afterCommit(() => calls.push('second'));
+        return tx.objectStore('test').add('test').then(() => {
+          expect(calls).to.deep.equal([]);
+        });
       }).then(() => {
-        fulfilled = true;
-      }, () => {
-        rejected = true;
+        expect(calls).to.deep.equal(['first', 'second']);
       });
+    });
 
-      return new Promise((resolve) => {
-        setTimeout(resolve, 50);
+    it('does not call the hook if the transaction aborts', () => {
+      let called = false;
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.afterCommit(() => {
+          called = true;
+        });
+        throw new Error('test');
+      }).catch(() => {
+        expect(called).to.be.false();
+      });
+    });
+
+    it('calls the hook immediately once committed', () => {
+      let running;
+      return db.transaction('test').run((tx) => {
+        running = tx;
+      }).then(() => {
+        let called = false;
+        running.afterCommit(() => {
+          called = true;
+        });
+        expect(called).to.be.true();
+      });
+    });
+  });
+
+  describe('#afterAbort', () => {
+    it('calls the hook with the error once the transaction aborts', () => {
+      const error = new Error('test');
+      let aborted = null;
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.afterAbort((e) => {
+          aborted = e;
+        });
+        tx.objectStore('test').add('test');
+        throw error;
+      }).catch(() => {
+        expect(aborted.name).to.equal('AbortError');
+      });
+    });
+
+    it('does not call the hook if the transaction commits', () => {
+      let called = false;
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.afterAbort(() => {
+          called = true;
+        });
+        return tx.objectStore('test').add('test');
+      }).then(() => {
+        expect(called).to.be.false();
+      });
+    });
+
+    it('is called after a dry run', () => {
+      let called = false;
+      return db.transaction('test', 'readwrite').dryRun((tx) => {
+        tx.afterAbort(() => {
+          called = true;
+        });
+        tx.afterCommit(() => {
+          throw new Error('should not be called');
+        });
+        return tx.objectStore('test').add('test');
+      }).then(() => {
+        expect(called).to.be.true();
+      });
+    });
+  });
+
+  describe('#commit', () => {
+    it('resolves once the transaction completes', () => {
+      let committed = false;
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.objectStore('test').add('test', 'test');
+        return tx.commit().then(() => {
+          committed = true;
+        });
       }).then(() => {
-        expect(fulfilled).to.be.false();
-        expect(rejected).to.be.false();
+        expect(committed).to.be.true();
+      });
+    });
+
+    describe('where explicit commits are supported', () => {
+      const memory = useMemoryDatabase((db) => {
+        db.createObjectStore('test');
+      });
+
+      it('commits without waiting for more work', () => {
+        return memory.db.transaction('test', 'readwrite').run((tx) => {
+          const store = tx.objectStore('test');
+          store.put('test', 'test');
+          const committed = tx.commit();
+          expect(() => store.put('late', 'late')).to.throw(Error);
+          return committed;
+        }).then(() => {
+          return memory.db.transaction('test').run((tx) => tx.objectStore('test').getAllKeys());
+        }).then((keys) => {
+          expect(keys).to.deep.equal(['test']);
+        });
+      });
+    });
+  });
+
+  describe('#rollbackTo', () => {
+    function contents(database) {
+      return database.transaction('test').run((tx) => {
+        const records = {};
+        return tx.objectStore('test').openCursor().iterate((cursor) => {
+          records[cursor.key] = cursor.value;
+          cursor.continue();
+        }).then(() => records);
+      });
+    }
+
+    it('undoes the writes made since the savepoint', () => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        store.add('a', 'a');
+        store.put('b', 'b');
+        const savepoint = tx.savepoint();
+        store.put('changed', 'b');
+        store.add('c', 'c');
+        store.delete('a');
+        return tx.rollbackTo(savepoint).then(() => store.put('d', 'd'));
+      }).then(() => contents(db)).then((records) => {
+        expect(records).to.deep.equal({ a: 'a', b: 'b', d: 'd' });
+      });
+    });
+
+    it('undoes cursor updates and deletes', () => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        store.put('a', 'a');
+        store.put('b', 'b');
+        const savepoint = tx.savepoint();
+        return store.openCursor().iterate((cursor) => {
+          if (cursor.key === 'a') {
+            cursor.update('changed');
+          } else {
+            cursor.delete();
+          }
+          cursor.continue();
+        }).then(() => tx.rollbackTo(savepoint));
+      }).then(() => contents(db)).then((records) => {
+        expect(records).to.deep.equal({ a: 'a', b: 'b' });
+      });
+    });
+
+    it('discards later savepoints', () => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        const outer = tx.savepoint();
+        store.put('a', 'a');
+        const inner = tx.savepoint();
+        store.put('b', 'b');
+        return tx.rollbackTo(inner).then(() => {
+          store.put('c', 'c');
+          return tx.rollbackTo(outer);
+        }).then(() => {
+          let error;
+          try {
+            tx.rollbackTo(inner);
+          } catch (e) {
+            error = e;
+          }
+          expect(error.name).to.equal('InvalidStateError');
+          store.put('d', 'd');
+        });
+      }).then(() => contents(db)).then((records) => {
+        expect(records).to.deep.equal({ d: 'd' });
+      });
+    });
+
+    describe('where IDBObjectStore#getAll is supported', () => {
+      const memory = useMemoryDatabase((db) => {
+        db.createObjectStore('test', { keyPath: 'id' });
+      });
+
+      it('undoes clears and key range deletes', () => {
+        return memory.db.transaction('test', 'readwrite').run((tx) => {
+          const store = tx.objectStore('test');
+          store.put({ id: 1 });
+          store.put({ id: 2 });
+          store.put({ id: 3 });
+          const savepoint = tx.savepoint();
+          store.delete(memory.backend.IDBKeyRange.bound(2, 3));
+          store.put({ id: 4 });
+          store.clear();
+          return tx.rollbackTo(savepoint);
+        }).then(() => {
+          return memory.db.transaction('test').run((tx) => tx.objectStore('test').getAllKeys());
+        }).then((keys) => {
+          expect(keys).to.deep.equal([1, 2, 3]);
+        });
+      });
+    });
+  });
+
+  describe('#dryRun', () => {
+    beforeEach(() => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        store.put('a', 'a');
+        store.put('b', 'b');
+      });
+    });
+
+    function contents() {
+      return db.transaction('test').run((tx) => {
+        const records = {};
+        return tx.objectStore('test').openCursor().iterate((cursor) => {
+          records[cursor.key] = cursor.value;
+          cursor.continue();
+        }).then(() => records);
+      });
+    }
+
+    it('resolves with the result and the changes, without keeping them', () => {
+      return db.transaction('test', 'readwrite').dryRun((tx) => {
+        const store = tx.objectStore('test');
+        store.put('changed', 'a');
+        store.add('new');
+        store.delete('b');
+        return 'result';
+      }).then(({ result, changes }) => {
+        expect(result).to.equal('result');
+        expect(changes).to.deep.equal([
+          { type: 'put', store: 'test', key: 'a', value: 'changed' },
+          { type: 'add', store: 'test', key: 1, value: 'new' },
+          { type: 'delete', store: 'test', key: 'b' },
+        ]);
+        return contents();
+      }).then((records) => {
+        expect(records).to.deep.equal({ a: 'a', b: 'b' });
+      });
+    });
+
+    it('records cursor updates and deletes', () => {
+      return db.transaction('test', 'readwrite').dryRun((tx) => {
+        return tx.objectStore('test').openCursor().iterate((cursor) => {
+          if (cursor.key === 'a') {
+            cursor.update('changed');
+          } else {
+            cursor.delete();
+          }
+          cursor.continue();
+        });
+      }).then(({ changes }) => {
+        expect(changes).to.deep.equal([
+          { type: 'update', store: 'test', key: 'a', value: 'changed' },
+          { type: 'delete', store: 'test', key: 'b' },
+        ]);
+        return contents();
+      }).then((records) => {
+        expect(records).to.deep.equal({ a: 'a', b: 'b' });
+      });
+    });
+
+    it('waits for requests the callback did not wait for', () => {
+      return db.transaction('test', 'readwrite').dryRun((tx) => {
+        const store = tx.objectStore('test');
+        store.get('a').then(() => store.clear());
+      }).then(({ changes }) => {
+        expect(changes).to.deep.equal([{ type: 'clear', store: 'test' }]);
+      });
+    });
+
+    it('rejects with the error of a failed request', () => {
+      return db.transaction('test', 'readwrite').dryRun((tx) => {
+        tx.objectStore('test').add('duplicate', 'a');
+      }).then(() => {
+        expect.fail();
+      }, (error) => {
+        expect(error.name).to.equal('ConstraintError');
       });
     });
   });
@@ -246,5 +562,198 @@ describe('Transaction', () => {
         });
       });
     });
+
+    describe('when given a signal', () => {
+      it('rejects with the reason and rolls back once aborted', () => {
+        const controller = new AbortController();
+        const reason = new Error('navigated away');
+        return db.transaction('test', 'readwrite').run((tx) => {
+          return tx.objectStore('test').add('test', 'test').then(() => {
+            controller.abort(reason);
+          });
+        }, { signal: controller.signal }).catch((error) => {
+          expect(error).to.equal(reason);
+          return db.transaction('test').run((tx) => {
+            return tx.objectStore('test').count();
+          }).then((count) => {
+            expect(count).to.equal(0);
+          });
+        });
+      });
+
+      it('does not call the callback if already aborted', () => {
+        const controller = new AbortController();
+        let called = false;
+        controller.abort();
+        return db.transaction('test').run(() => {
+          called = true;
+        }, { signal: controller.signal }).catch((error) => {
+          expect(error).to.equal(controller.signal.reason);
+          expect(called).to.be.false();
+        });
+      });
+
+      it('resolves if never aborted', () => {
+        const controller = new AbortController();
+        return db.transaction('test').run(() => 1, {
+          signal: controller.signal,
+        }).then((result) => {
+          expect(result).to.equal(1);
+        });
+      });
+    });
+
+    describe('when given a timeout', () => {
+      // The memory backend, unlike the mock, does not process every queued
+      // request synchronously, so timers can fire while requests are pending.
+      const memory = useMemoryDatabase((db) => {
+        db.createObjectStore('test');
+      });
+
+      afterEach(() => {
+        configureTransactions({ timeout: 0, warnAfter: 0, onSlow: null });
+      });
+
+      // Keeps the transaction busy forever.
+      function spin(store) {
+        store.get(1).then(() => spin(store));
+      }
+
+      function count() {
+        return memory.db.transaction('test').run((tx) => tx.objectStore('test').count());
+      }
+
+      it('rejects with a TimeoutError and rolls back once it elapses', () => {
+        return memory.db.transaction('test', 'readwrite').run((tx) => {
+          const store = tx.objectStore('test');
+          store.add('test', 'test');
+          spin(store);
+        }, { timeout: 20 }).then(() => {
+          expect.fail();
+        }, (error) => {
+          expect(error.name).to.equal('TimeoutError');
+          expect(error.scope).to.deep.equal(['test']);
+          expect(error.timeout).to.equal(20);
+          expect(error.pending).to.equal(1);
+          return count();
+        }).then((count) => {
+          expect(count).to.equal(0);
+        });
+      });
+
+      it('uses the global timeout', () => {
+        configureTransactions({ timeout: 20 });
+        return memory.db.transaction('test').run((tx) => {
+          spin(tx.objectStore('test'));
+        }).then(() => {
+          expect.fail();
+        }, (error) => {
+          expect(error.name).to.equal('TimeoutError');
+        });
+      });
+
+      it('resolves if the run finishes in time', () => {
+        let slow = false;
+        return memory.db.transaction('test').run(() => 1, {
+          timeout: 1000,
+          warnAfter: 500,
+          onSlow() {
+            slow = true;
+          },
+        }).then((result) => {
+          expect(result).to.equal(1);
+          expect(slow).to.be.false();
+        });
+      });
+
+      it('reports a slow transaction', () => {
+        const reports = [];
+        return memory.db.transaction('test').run(() => {
+          return new Promise((resolve) => setTimeout(resolve, 40));
+        }, {
+          warnAfter: 10,
+          onSlow(report) {
+            reports.push(report);
+          },
+        }).then(() => {
+          expect(reports).to.have.length(1);
+          expect(reports[0].scope).to.deep.equal(['test']);
+          expect(reports[0].mode).to.equal('readonly');
+          expect(reports[0].elapsed).to.be.at.least(10);
+          expect(reports[0].pending).to.equal(0);
+        });
+      });
+    });
+  });
+
+  describe('in development mode', () => {
+    beforeEach(() => {
+      setDevMode(true);
+    });
+
+    afterEach(() => {
+      setDevMode(false);
+    });
+
+    function wait() {
+      return new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    it('explains an operation issued after the transaction went inactive', () => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        const store = tx.objectStore('test');
+        return store.get(1).then(wait).then(() => store.put('test', 1));
+      }).then(() => {
+        expect.fail();
+      }, (error) => {
+        expect(error.name).to.equal('TransactionInactiveError');
+        expect(error.operation).to.equal('objectStore("test").put()');
+        expect(error.lastOperation).to.equal('objectStore("test").get()');
+        expect(error.message).to.contain('native Promise');
+        expect(error.lastOperationStack).to.contain('transaction.js');
+        expect(error.cause.name).to.equal('TransactionInactiveError');
+      });
+    });
+
+    it('explains an objectStore opened after the transaction committed', () => {
+      return db.transaction('test').run((tx) => {
+        return tx.objectStore('test').count().then(wait).then(() => {
+          tx.objectStore('test');
+        });
+      }).then(() => {
+        expect.fail();
+      }, (error) => {
+        expect(error.name).to.equal('TransactionInactiveError');
+        expect(error.operation).to.equal('objectStore("test")');
+        expect(error.message).to.contain('after the transaction had committed');
+      });
+    });
+
+    it('does not change other errors', () => {
+      return db.transaction('test', 'readwrite').run((tx) => {
+        tx.objectStore('test').put('test', {});
+      }).then(() => {
+        expect.fail();
+      }, (error) => {
+        expect(error.name).to.equal('DataError');
+        expect(error.operation).to.be.undefined();
+      });
+    });
+  });
+
+  describe('outside development mode', () => {
+    it('throws the native error for a late operation', () => {
+      return db.transaction('test').run((tx) => {
+        const store = tx.objectStore('test');
+        return store.get(1).then(() => {
+          return new Promise((resolve) => setTimeout(resolve, 10));
+        }).then(() => store.get(1));
+      }).then(() => {
+        expect.fail();
+      }, (error) => {
+        expect(error.name).to.equal('TransactionInactiveError');
+        expect(error.operation).to.be.undefined();
+      });
+    });
   });
 });